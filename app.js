@@ -7,6 +7,9 @@ const { connectMongoDB, getDB, closeMongoDB } = require("./config/mongodb");
 const ExpiryManager = require("./services/expiryManager");
 const discordStatusManager = require("./services/discordStatusManager");
 const { initDiscordLogger } = require("./utils/discordLogger");
+const Money = require("./utils/money");
+const LedgerService = require("./services/ledgerService");
+const LedgerReconciler = require("./services/ledgerReconciler");
 require("dotenv").config();
 
 const app = express();
@@ -28,8 +31,12 @@ app.set("views", path.join(__dirname, "views"));
 // Static files
 app.use(express.static(path.join(__dirname, "public")));
 
-// Body parser
-app.use(express.json());
+// Body parser (payment webhooks verify signatures against the raw body)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration
@@ -56,15 +63,10 @@ app.use(async (req, res, next) => {
       const db = getDB();
       const userData = await db.collection('users').findOne({ _id: req.user._id });
       if (userData) {
-        // Ensure user has VV balance
+        // Ensure user has VV balance (initialized through the ledger)
         if (userData.vv_balance === undefined || userData.vv_balance === null) {
-          const defaultBalance = parseInt(process.env.DEFAULT_VV_BALANCE) || 0.00;
-          await db.collection('users').updateOne(
-            { _id: userData._id },
-            { $set: { vv_balance: defaultBalance, updated_at: new Date() } }
-          );
-          userData.vv_balance = defaultBalance;
-          console.log(`[INFO] Initialized balance for user ${userData._id}: ${defaultBalance} VV`);
+          const balance = await LedgerService.initializeBalance(userData._id);
+          userData.vv_balance = Money.toDecimal128(balance);
         }
         
         res.locals.user = userData;
@@ -85,6 +87,11 @@ app.use(async (req, res, next) => {
 // Routes
 app.use("/auth", require("./routes/auth"));
 app.use("/", require("./routes/subscription"));
+app.use("/", require("./routes/deposits"));
+app.use("/", require("./routes/transfers"));
+app.use("/", require("./routes/vouchers"));
+app.use("/", require("./routes/receipts"));
+app.use("/", require("./routes/plans"));
 
 // Basic routes
 app.get("/", (req, res) => {
@@ -221,6 +228,10 @@ async function startServer() {
     ExpiryManager.init();
     console.log('[INFO] Subscription expiry manager initialized');
     
+    // Initialize nightly ledger reconciliation
+    LedgerReconciler.init();
+    console.log('[INFO] Ledger reconciler initialized');
+    
     // Initialize Discord status manager
     discordStatusManager.init();
     console.log('[INFO] Discord status manager initialized');
@@ -234,14 +245,43 @@ async function startServer() {
       console.log('[INFO] Available routes:');
       console.log('  GET  / - Home page');
       console.log('  GET  /profile - User profile with subscription info');
-      console.log('  GET  /minecraft/subscription - Subscription catalog');
-      console.log('  POST /minecraft/subscription/purchase - Purchase subscription');
+      console.log('  GET  /:product/subscription - Subscription catalog of a product (e.g. /minecraft/subscription)');
+      console.log('  POST /:product/subscription/quote - Price a checkout');
+      console.log('  POST /:product/subscription/purchase - Purchase subscription');
+      console.log('  POST /profile/subscription/cancel - Cancel subscription with prorated refund');
+      console.log('  POST /profile/subscription/pause - Pause subscription, banking remaining time');
+      console.log('  POST /profile/subscription/resume - Resume a paused subscription');
+      console.log('  POST /profile/subscription/auto-renew - Toggle auto-renewal from VV balance');
+      console.log('  POST /profile/deposits - Start a VV top-up');
+      console.log('  POST /webhooks/payments/:provider - Payment provider webhook');
+      console.log('  POST /profile/transfers - Send VV to another member');
+      console.log('  POST /profile/vouchers/redeem - Redeem a VV voucher code');
+      console.log('  GET  /profile/transactions/:id - Printable transaction receipt');
       console.log('  GET  /auth/discord - Discord OAuth login');
       console.log('  GET  /auth/discord/callback - Discord OAuth callback');
       console.log('  GET  /auth/logout - Logout');
       console.log('  GET  /health - Health check');
       console.log('  GET  /admin/update-status - Force Discord status update (admin only)');
       console.log('  GET  /admin/discord-status - Discord status info (admin only)');
+      console.log('  POST /admin/subscriptions/:subscriptionId/refund - Refund a subscription (admin only)');
+      console.log('  GET  /admin/ledger/reconciliation - Recent ledger reconciliation runs (admin only)');
+      console.log('  POST /admin/ledger/reconcile - Run ledger reconciliation now (admin only)');
+      console.log('  POST /admin/promo-codes - Create a promo code (admin only)');
+      console.log('  GET  /admin/promo-codes - List promo codes (admin only)');
+      console.log('  GET  /admin/promo-codes/:code/usage - Promo code usage stats (admin only)');
+      console.log('  GET  /admin/transfers - List member transfers (admin only)');
+      console.log('  POST /admin/transfers/:transferId/reverse - Reverse a transfer (admin only)');
+      console.log('  POST /admin/vouchers - Generate a voucher batch (admin only)');
+      console.log('  GET  /admin/vouchers/batches/:batchId/export - Export voucher batch as CSV (admin only)');
+      console.log('  POST /admin/transactions/:id/receipt/regenerate - Regenerate a receipt (admin only)');
+      console.log('  POST /admin/transactions/:id/receipt/void - Void a receipt (admin only)');
+      console.log('  GET  /admin/fraud/events - Fraud rule hits (admin only)');
+      console.log('  GET  /admin/plans - Subscription plan catalog (admin only)');
+      console.log('  POST /admin/plans - Create a subscription plan (admin only)');
+      console.log('  POST /admin/plans/:planId - Update a plan as a new version (admin only)');
+      console.log('  POST /admin/plans/:planId/archive - Archive a plan (admin only)');
+      console.log('  POST /admin/plans/reorder - Reorder the plan catalog (admin only)');
+      console.log('  POST /admin/fraud/events/:eventId/review - Review a fraud rule hit (admin only)');
       
       // Log configuration status
       const configStatus = {
@@ -358,9 +398,10 @@ app.use((req, res, next) => {
 // Middleware to add protection flag to sensitive routes
 const protectSensitiveRoutes = (req, res, next) => {
   // Add protection flag for sensitive pages
-  const sensitiveRoutes = ['/profile', '/minecraft/subscription', '/admin'];
+  const sensitiveRoutes = ['/profile', '/admin'];
   
-  if (sensitiveRoutes.some(route => req.path.startsWith(route))) {
+  // Product stores live at /<product>/subscription
+  if (sensitiveRoutes.some(route => req.path.startsWith(route)) || /^\/[^/]+\/subscription/.test(req.path)) {
     res.locals.protectInspect = true;
   }
   
@@ -15,15 +15,71 @@ const connectMongoDB = async () => {
     // Create indexes for better performance
     await db.collection('users').createIndex({ "_id": 1 });
     await db.collection('users').createIndex({ "email": 1 });
+    await db.collection('users').createIndex({ "referral_code": 1 }, { unique: true, sparse: true });
     
     await db.collection('subscriptions').createIndex({ "user_id": 1 });
     await db.collection('subscriptions').createIndex({ "expires_at": 1 });
     await db.collection('subscriptions').createIndex({ "status": 1 });
+    await db.collection('subscriptions').createIndex({ "user_id": 1, "product": 1, "tier": 1, "status": 1 });
+    await db.collection('subscriptions').createIndex({ "status": 1, "pause_resume_by": 1 });
+    await db.collection('subscriptions').createIndex({ "user_id": 1, "is_trial": 1 });
     
     await db.collection('transactions').createIndex({ "user_id": 1 });
-    await db.collection('transactions').createIndex({ "idempotency_key": 1 }, { unique: true });
+    // Idempotency keys are scoped per user; records without a key are not indexed
+    await db.collection('transactions').dropIndex('idempotency_key_1').catch((error) => {
+      if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    });
+    await db.collection('transactions').createIndex(
+      { "user_id": 1, "idempotency_key": 1 },
+      { unique: true, partialFilterExpression: { idempotency_key: { $type: 'string' } } }
+    );
     await db.collection('transactions').createIndex({ "created_at": -1 });
     
+    await db.collection('ledger_entries').createIndex({ "journal_id": 1 });
+    await db.collection('ledger_entries').createIndex({ "account": 1, "created_at": -1 });
+    await db.collection('ledger_entries').createIndex({ "user_id": 1, "created_at": -1 });
+    
+    await db.collection('reconciliation_runs').createIndex({ "started_at": -1 });
+    
+    await db.collection('promo_codes').createIndex({ "code": 1 }, { unique: true });
+    await db.collection('promo_redemptions').createIndex({ "promo_code_id": 1, "user_id": 1 });
+    await db.collection('promo_redemptions').createIndex({ "redeemed_at": -1 });
+    
+    await db.collection('gifts').createIndex({ "recipient_id": 1, "status": 1 });
+    await db.collection('gifts').createIndex({ "buyer_id": 1, "created_at": -1 });
+
+    await db.collection('deposit_intents').createIndex({ "user_id": 1, "created_at": -1 });
+    await db.collection('payment_events').createIndex({ "intent_id": 1 });
+
+    await db.collection('transfers').createIndex({ "sender_id": 1, "created_at": -1 });
+    await db.collection('transfers').createIndex({ "recipient_id": 1, "created_at": -1 });
+    // Idempotency keys are scoped per sender
+    await db.collection('transfers').dropIndex('idempotency_key_1').catch((error) => {
+      if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    });
+    await db.collection('transfers').createIndex(
+      { "sender_id": 1, "idempotency_key": 1 },
+      { unique: true, partialFilterExpression: { idempotency_key: { $type: 'string' } } }
+    );
+
+    await db.collection('vouchers').createIndex({ "code": 1 }, { unique: true });
+    await db.collection('vouchers').createIndex({ "batch_id": 1 });
+    await db.collection('voucher_redemptions').createIndex({ "voucher_id": 1, "user_id": 1 }, { unique: true });
+
+    await db.collection('referrals').createIndex({ "referrer_id": 1, "created_at": -1 });
+    await db.collection('referrals').createIndex({ "referrer_id": 1, "status": 1 });
+
+    await db.collection('receipts').createIndex({ "number": 1 }, { unique: true });
+    await db.collection('receipts').createIndex({ "transaction_id": 1 }, { unique: true });
+    await db.collection('receipts').createIndex({ "user_id": 1, "sequence": -1 });
+
+    await db.collection('fraud_events').createIndex({ "created_at": -1 });
+    await db.collection('fraud_events').createIndex({ "user_id": 1, "created_at": -1 });
+    await db.collection('fraud_events').createIndex({ "review_status": 1, "created_at": -1 });
+
+    await db.collection('plans').createIndex({ "position": 1 });
+    await db.collection('plan_versions').createIndex({ "plan_id": 1, "version": -1 }, { unique: true });
+    
     console.log('Database indexes created successfully');
     
     return db;
@@ -47,6 +103,20 @@ const getClient = () => {
   return client;
 };
 
+// Run fn(session) inside a MongoDB transaction, retrying on transient errors
+const withTransaction = async (fn) => {
+  const session = getClient().startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
 // Graceful shutdown
 const closeMongoDB = async () => {
   if (client) {
@@ -55,4 +125,4 @@ const closeMongoDB = async () => {
   }
 };
 
-module.exports = { connectMongoDB, getDB, getClient, closeMongoDB };
\ No newline at end of file
+module.exports = { connectMongoDB, getDB, getClient, withTransaction, closeMongoDB };
\ No newline at end of file
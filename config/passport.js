@@ -2,6 +2,10 @@
 const passport = require("passport");
 const DiscordStrategy = require("passport-discord").Strategy;
 const { getDB } = require("./mongodb");
+const Money = require("../utils/money");
+const LedgerService = require("../services/ledgerService");
+const SubscriptionService = require("../services/subscriptionService");
+const ReferralService = require("../services/referralService");
 const axios = require("axios");
 require("dotenv").config();
 
@@ -26,14 +30,18 @@ passport.use(new DiscordStrategy({
   clientID: process.env.DISCORD_CLIENT_ID,
   clientSecret: process.env.DISCORD_CLIENT_SECRET,
   callbackURL: process.env.DISCORD_REDIRECT_URI,
-  scope: ["identify", "email", "guilds.join"]
-}, async (accessToken, refreshToken, profile, done) => {
+  scope: ["identify", "email", "guilds.join"],
+  passReqToCallback: true
+}, async (req, accessToken, refreshToken, profile, done) => {
   try {
+    const referralCode = req.session ? req.session.referralCode : null;
+    if (req.session) {
+      delete req.session.referralCode;
+    }
+
     const db = getDB();
     const existingUser = await db.collection('users').findOne({ _id: profile.id });
 
-    // Parse default balance as decimal (supports both integer and decimal values)
-    const defaultBalance = parseFloat(process.env.DEFAULT_VV_BALANCE) || 0.00;
     const now = new Date();
 
     let userData = {
@@ -53,20 +61,26 @@ passport.use(new DiscordStrategy({
     };
 
     if (!existingUser) {
-      // New user - create with default VV balance (decimal support)
-      userData.vv_balance = defaultBalance;
+      // New user - create, then credit the default VV balance through the ledger
       userData.created_at = now;
-      
+
       await db.collection('users').insertOne(userData);
-      
-      // Format balance for logging
-      const formattedBalance = defaultBalance < 1 && defaultBalance > 0 
-        ? defaultBalance.toFixed(8).replace(/\.?0+$/, '')
-        : defaultBalance >= 1000 
-          ? defaultBalance.toLocaleString('en-US', { maximumFractionDigits: 8 })
-          : defaultBalance.toFixed(6).replace(/\.?0+$/, '');
-          
-      console.log(`[INFO] New user created: ${profile.username} (${profile.id}) with ${formattedBalance} VV balance`);
+      const balance = await LedgerService.initializeBalance(profile.id);
+      userData.vv_balance = Money.toDecimal128(balance);
+
+      console.log(`[INFO] New user created: ${profile.username} (${profile.id}) with ${Money.format(balance)} VV balance`);
+
+      if (referralCode) {
+        try {
+          await ReferralService.attachReferral(userData, referralCode, {
+            accountCreatedAt: SubscriptionService.getDiscordAccountCreatedAt(profile.id),
+            now
+          });
+        } catch (referralError) {
+          // Don't fail authentication over a referral
+          console.error(`[ERROR] Failed to record referral for ${profile.id}:`, referralError);
+        }
+      }
     } else {
       // Existing user - update their information
       const updateData = {
@@ -78,29 +92,19 @@ passport.use(new DiscordStrategy({
         updated_at: now
       };
       
-      // Initialize VV balance if it doesn't exist (decimal support)
-      if (existingUser.vv_balance === undefined || existingUser.vv_balance === null) {
-        updateData.vv_balance = defaultBalance;
-        
-        const formattedBalance = defaultBalance < 1 && defaultBalance > 0 
-          ? defaultBalance.toFixed(8).replace(/\.?0+$/, '')
-          : defaultBalance >= 1000 
-            ? defaultBalance.toLocaleString('en-US', { maximumFractionDigits: 8 })
-            : defaultBalance.toFixed(6).replace(/\.?0+$/, '');
-            
-        console.log(`[INFO] Initialized VV balance for existing user ${profile.id}: ${formattedBalance} VV`);
-      } else {
-        // Ensure existing balance is stored as a proper number
-        const currentBalance = parseFloat(existingUser.vv_balance);
-        if (!isNaN(currentBalance)) {
-          updateData.vv_balance = currentBalance;
-        }
-      }
-      
       await db.collection('users').updateOne(
         { _id: profile.id },
         { $set: updateData }
       );
+
+      // Initialize VV balance if it doesn't exist. Existing balances are never
+      // rewritten here: every balance change goes through the ledger.
+      if (existingUser.vv_balance === undefined || existingUser.vv_balance === null) {
+        const balance = await LedgerService.initializeBalance(profile.id);
+        updateData.vv_balance = Money.toDecimal128(balance);
+
+        console.log(`[INFO] Initialized VV balance for existing user ${profile.id}: ${Money.format(balance)} VV`);
+      }
       
       console.log(`[INFO] User updated: ${profile.username} (${profile.id})`);
       
@@ -129,12 +133,22 @@ passport.use(new DiscordStrategy({
       }
     }
 
-    // Return user with consistent structure and proper decimal balance
+    // Deliver gifts bought for this user before they logged in (after the guild
+    // join so the gifted roles can be assigned)
+    try {
+      const redeemed = await SubscriptionService.redeemPendingGifts(profile.id);
+      if (redeemed.length > 0) {
+        console.log(`[INFO] Delivered ${redeemed.length} pending gift(s) to ${profile.username} (${profile.id})`);
+      }
+    } catch (giftError) {
+      // Don't fail authentication if gift redemption fails; it is retried on next login
+      console.error(`[ERROR] Failed to redeem pending gifts for ${profile.id}:`, giftError);
+    }
+
+    // Return user with consistent structure (vv_balance stays Decimal128, read it via Money.fromDb)
     return done(null, {
       _id: profile.id,
-      ...userData,
-      // Ensure vv_balance is always a number
-      vv_balance: parseFloat(userData.vv_balance || defaultBalance)
+      ...userData
     });
   } catch (error) {
     console.error('[ERROR] Discord authentication failed:', error);
@@ -0,0 +1,103 @@
+// migration/importPlans.js
+// Run this script to seed the plan catalog from plans/subscriptions.json. Each
+// plan not yet in the plans collection is imported as version 1, in file order.
+// Plans that already exist are left alone, so the script is safe to re-run.
+// Nothing is imported unless the whole file passes the plan schema.
+// Subscriptions and transactions from before the catalog are pointed at the
+// imported version of their plan.
+const fs = require('fs').promises;
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const PlanService = require('../services/planService');
+const PlanSchema = require('../utils/planSchema');
+require('dotenv').config();
+
+const PLANS_PATH = path.join(__dirname, '../plans/subscriptions.json');
+
+async function importPlans() {
+  let client;
+
+  try {
+    client = new MongoClient(process.env.MONGODB_URI);
+    await client.connect();
+    const db = client.db(process.env.MONGODB_NAME || 'virelia');
+
+    console.log(`Importing plans from ${PLANS_PATH}...`);
+
+    let definitions;
+    try {
+      definitions = JSON.parse(await fs.readFile(PLANS_PATH, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${PLANS_PATH}: ${error.message}`);
+    }
+
+    const failures = PlanSchema.validateCatalog(definitions);
+    if (failures.length > 0) {
+      throw new Error(`plans/subscriptions.json failed validation, nothing was imported:\n${PlanSchema.formatFailures(failures)}`);
+    }
+
+    const [last] = await db.collection('plans').find({}).sort({ position: -1 }).limit(1).toArray();
+    let position = last ? last.position + 1 : 0;
+
+    let importedCount = 0;
+    let skippedCount = 0;
+    let backfilledCount = 0;
+
+    for (const definition of definitions) {
+      try {
+        const fields = PlanService.normalizeDefinition(definition);
+        if (await db.collection('plans').findOne({ _id: fields.id })) {
+          console.log(`Skipping plan ${fields.id} - already in the catalog`);
+          skippedCount++;
+          continue;
+        }
+
+        const now = new Date();
+        const versionDoc = PlanService.buildVersion(fields, { version: 1, note: 'Imported from plans/subscriptions.json', now });
+        await db.collection('plan_versions').insertOne(versionDoc);
+        await db.collection('plans').insertOne(PlanService.buildPlanDocument(versionDoc, { position: position++, now }));
+        console.log(`Imported plan ${fields.id} (${fields.title})`);
+        importedCount++;
+
+        const versionRef = { plan_version_id: versionDoc._id, plan_version: 1 };
+        const filter = { plan_id: fields.id, plan_version_id: { $exists: false } };
+        const [subscriptions, transactions] = await Promise.all([
+          db.collection('subscriptions').updateMany(filter, { $set: versionRef }),
+          db.collection('transactions').updateMany(filter, { $set: versionRef })
+        ]);
+        backfilledCount += subscriptions.modifiedCount + transactions.modifiedCount;
+      } catch (error) {
+        console.error(`Failed to import plan ${definition.id}:`, error.message);
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Plans imported: ${importedCount}`);
+    console.log(`Plans skipped: ${skippedCount}`);
+    console.log(`Subscriptions and transactions linked to a plan version: ${backfilledCount}`);
+    console.log('Migration completed successfully!');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  importPlans()
+    .then(() => {
+      console.log('Migration script completed');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = importPlans;
\ No newline at end of file
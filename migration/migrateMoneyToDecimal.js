@@ -0,0 +1,112 @@
+// migration/migrateMoneyToDecimal.js
+// Run this script once to convert float VV amounts to exact Decimal128 values.
+// Values are snapped to the nearest micro-VV, so 2.8499999999 becomes 2.85.
+const { MongoClient } = require('mongodb');
+const Money = require('../utils/money');
+require('dotenv').config();
+
+// Collections and the VV amount fields they store
+const MONEY_FIELDS = {
+  users: ['vv_balance'],
+  subscriptions: ['original_price_vv', 'paid_price_vv', 'total_paid_vv', 'last_renewal_amount'],
+  transactions: ['amount_vv', 'final_price_vv', 'discount_amount', 'user_balance_before', 'user_balance_after'],
+  admin_actions: ['amount', 'balance_before', 'balance_after']
+};
+
+const LEGACY_TYPES = ['double', 'int', 'long', 'string'];
+const BATCH_SIZE = 500;
+
+async function migrateCollection(db, collectionName, fields) {
+  const collection = db.collection(collectionName);
+  const cursor = collection.find({
+    $or: fields.map(field => ({ [field]: { $type: LEGACY_TYPES } }))
+  });
+
+  let converted = 0;
+  let failed = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await collection.bulkWrite(operations, { ordered: false });
+    converted += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const filter = { _id: doc._id };
+    const update = {};
+
+    for (const field of fields) {
+      const value = doc[field];
+      if (value === undefined || value === null || typeof value === 'object') continue;
+
+      try {
+        update[field] = Money.toDecimal128(Money.toMicro(value));
+        // Only overwrite the value we read, so concurrent writes are never clobbered
+        filter[field] = value;
+      } catch (error) {
+        console.error(`Skipping ${collectionName} ${doc._id}.${field} (${value}):`, error.message);
+        failed++;
+      }
+    }
+
+    if (Object.keys(update).length > 0) {
+      operations.push({ updateOne: { filter, update: { $set: update } } });
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return { converted, failed };
+}
+
+async function migrateMoneyToDecimal() {
+  let client;
+
+  try {
+    client = new MongoClient(process.env.MONGODB_URI);
+    await client.connect();
+    const db = client.db(process.env.MONGODB_NAME || 'virelia');
+
+    console.log('Starting VV amount migration...');
+
+    const summary = {};
+    for (const [collectionName, fields] of Object.entries(MONEY_FIELDS)) {
+      summary[collectionName] = await migrateCollection(db, collectionName, fields);
+      console.log(`Converted ${summary[collectionName].converted} ${collectionName} documents`);
+    }
+
+    console.log('\n=== Migration Summary ===');
+    for (const [collectionName, { converted, failed }] of Object.entries(summary)) {
+      console.log(`${collectionName}: ${converted} converted, ${failed} fields skipped`);
+    }
+    console.log('Migration completed successfully!');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  migrateMoneyToDecimal()
+    .then(() => {
+      console.log('Migration script completed');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateMoneyToDecimal;
\ No newline at end of file
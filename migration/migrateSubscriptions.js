@@ -1,6 +1,8 @@
 // migration/migrateSubscriptions.js
 // Run this script once to migrate from old structure to new subscriptions table
 const { MongoClient } = require('mongodb');
+const Money = require('../utils/money');
+const LedgerService = require('../services/ledgerService');
 require('dotenv').config();
 
 async function migrateSubscriptions() {
@@ -53,8 +55,8 @@ async function migrateSubscriptions() {
           started_at: new Date(oldSub.started_at || oldSub.created_at || now),
           expires_at: new Date(oldSub.expires_at),
           duration_days: oldSub.total_days || 30,
-          original_price_vv: 0, // Unknown from old structure
-          paid_price_vv: 0,     // Unknown from old structure
+          original_price_vv: Money.toDecimal128(0), // Unknown from old structure
+          paid_price_vv: Money.toDecimal128(0),     // Unknown from old structure
           discount_applied: null,
           is_renewal: false,
           warning_sent: oldSub.warning_sent || false,
@@ -89,20 +91,31 @@ async function migrateSubscriptions() {
     
     console.log(`\nInitializing VV balance for ${usersWithoutBalance.length} users...`);
     
-    const defaultBalance = parseInt(process.env.DEFAULT_VV_BALANCE) || 0.00;
+    const defaultBalance = Money.getDefaultBalance();
     let balanceInitCount = 0;
     
     for (const user of usersWithoutBalance) {
       try {
-        await db.collection('users').updateOne(
-          { _id: user._id },
+        const result = await db.collection('users').updateOne(
+          { _id: user._id, vv_balance: { $exists: false } },
           { 
             $set: { 
-              vv_balance: defaultBalance,
+              vv_balance: Money.toDecimal128(defaultBalance),
               updated_at: new Date()
             }
           }
         );
+
+        // Record the default balance in the ledger so reconciliation stays clean
+        if (result.modifiedCount > 0 && defaultBalance > 0) {
+          await db.collection('ledger_entries').insertMany(LedgerService.buildJournal({
+            from: LedgerService.SYSTEM_ACCOUNTS.ISSUANCE,
+            to: LedgerService.userAccount(user._id),
+            amount: defaultBalance,
+            type: 'default_balance',
+            metadata: { source: 'migration_v1' }
+          }));
+        }
         balanceInitCount++;
       } catch (error) {
         console.error(`Failed to initialize balance for user ${user._id}:`, error);
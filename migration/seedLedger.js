@@ -0,0 +1,81 @@
+// migration/seedLedger.js
+// Run this script once after deploying the ledger. Balances that existed before
+// ledger_entries get a single opening-balance journal so reconciliation starts clean.
+const { MongoClient } = require('mongodb');
+const Money = require('../utils/money');
+const LedgerService = require('../services/ledgerService');
+require('dotenv').config();
+
+async function seedLedger() {
+  let client;
+
+  try {
+    client = new MongoClient(process.env.MONGODB_URI);
+    await client.connect();
+    const db = client.db(process.env.MONGODB_NAME || 'virelia');
+
+    console.log('Starting ledger seeding...');
+
+    const seededUsers = new Set(await db.collection('ledger_entries').distinct('user_id', { user_id: { $ne: null } }));
+    const users = db.collection('users').find({ vv_balance: { $exists: true, $ne: null } });
+
+    let seededCount = 0;
+    let skippedCount = 0;
+
+    for await (const user of users) {
+      try {
+        const balance = Money.fromDb(user.vv_balance);
+
+        if (seededUsers.has(user._id) || balance === 0) {
+          skippedCount++;
+          continue;
+        }
+
+        const account = LedgerService.userAccount(user._id);
+        const opening = LedgerService.SYSTEM_ACCOUNTS.OPENING_BALANCE;
+        const entries = LedgerService.buildJournal({
+          from: balance > 0 ? opening : account,
+          to: balance > 0 ? account : opening,
+          amount: Math.abs(balance),
+          type: 'opening_balance',
+          metadata: { source: 'migration_seed_ledger' }
+        });
+        entries.find(entry => entry.user_id === user._id).balance_after = Money.toDecimal128(balance);
+
+        await db.collection('ledger_entries').insertMany(entries);
+        console.log(`Seeded opening balance of ${Money.format(balance)} VV for user ${user._id} (${user.username})`);
+        seededCount++;
+      } catch (error) {
+        console.error(`Failed to seed ledger for user ${user._id}:`, error);
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Opening balances seeded: ${seededCount}`);
+    console.log(`Users skipped: ${skippedCount}`);
+    console.log('Migration completed successfully!');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  seedLedger()
+    .then(() => {
+      console.log('Migration script completed');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = seedLedger;
\ No newline at end of file
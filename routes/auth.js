@@ -1,7 +1,13 @@
 const router = require("express").Router();
 const passport = require("passport");
 
-router.get("/discord", passport.authenticate("discord"));
+// A ?ref=CODE on the login link is kept in the session until the new account is created
+router.get("/discord", (req, res, next) => {
+  if (typeof req.query.ref === "string" && req.query.ref.trim()) {
+    req.session.referralCode = req.query.ref.trim().slice(0, 32);
+  }
+  next();
+}, passport.authenticate("discord"));
 router.get("/discord/callback",
   passport.authenticate("discord", { failureRedirect: "/" }),
   (req, res) => res.redirect("/profile")
@@ -0,0 +1,115 @@
+// routes/deposits.js - VV top-ups and payment provider webhooks
+const router = require('express').Router();
+const DepositService = require('../services/depositService');
+const PaymentProviders = require('../services/paymentProviders');
+const Money = require('../utils/money');
+const { getDB } = require('../config/mongodb');
+const { ObjectId } = require('mongodb');
+
+// Middleware to ensure user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.redirect('/');
+  }
+  next();
+};
+
+// GET /profile/deposits - Deposit history and available providers
+router.get('/profile/deposits', requireAuth, async (req, res) => {
+  try {
+    const deposits = await DepositService.getUserDeposits(req.user._id || req.user.id);
+    res.json({
+      deposits,
+      providers: PaymentProviders.listProviders(),
+      min_amount: Money.toNumber(DepositService.MIN_DEPOSIT),
+      max_amount: Money.toNumber(DepositService.MAX_DEPOSIT)
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to load deposits:', error);
+    res.status(500).json({ error: 'Failed to load deposits' });
+  }
+});
+
+// POST /profile/deposits - Start a top-up with a payment provider
+router.post('/profile/deposits', requireAuth, async (req, res) => {
+  try {
+    const { amount, provider } = req.body;
+    if (!amount || !provider) {
+      return res.status(400).json({ error: 'Amount and provider are required' });
+    }
+
+    const intent = await DepositService.createIntent(req.user._id || req.user.id, amount, provider);
+
+    res.json({
+      success: true,
+      deposit_id: intent._id,
+      provider: intent.provider,
+      amount: Money.toNumber(Money.fromDb(intent.amount_vv)),
+      formatted_amount: Money.format(Money.fromDb(intent.amount_vv)),
+      checkout_url: intent.checkout_url,
+      instructions: intent.instructions
+    });
+  } catch (error) {
+    console.error('[ERROR] Deposit creation failed:', error);
+    if (error.message.startsWith('Deposit')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to start deposit' });
+  }
+});
+
+// POST /profile/deposits/:depositId/simulate - Complete a mock deposit through its signed webhook
+// (admins, or anyone with ALLOW_MOCK_DEPOSIT_SIMULATION=true outside production)
+router.post('/profile/deposits/:depositId/simulate', requireAuth, async (req, res) => {
+  if (!PaymentProviders.canSimulate(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const { depositId } = req.params;
+    if (!ObjectId.isValid(depositId)) {
+      return res.status(400).json({ error: 'Invalid deposit ID' });
+    }
+
+    const intent = await getDB().collection('deposit_intents').findOne({
+      _id: new ObjectId(depositId),
+      user_id: req.user._id || req.user.id,
+      provider: 'mock'
+    });
+    if (!intent) {
+      return res.status(404).json({ error: 'Mock deposit not found' });
+    }
+
+    const mock = PaymentProviders.getProvider('mock');
+    const { rawBody, headers } = mock.buildWebhook(intent, req.body.status === 'failed' ? 'failed' : 'succeeded');
+    const result = await DepositService.handleWebhook('mock', rawBody, headers);
+
+    res.json({
+      success: true,
+      status: result.intent ? result.intent.status : intent.status
+    });
+  } catch (error) {
+    console.error('[ERROR] Mock deposit simulation failed:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// POST /webhooks/payments/:provider - Signed provider callbacks (no session auth)
+router.post('/webhooks/payments/:provider', async (req, res) => {
+  try {
+    const result = await DepositService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+    res.json({ received: true, duplicate: result.duplicate });
+  } catch (error) {
+    console.error(`[ERROR] ${req.params.provider} webhook rejected:`, error.message);
+
+    if (error.message === 'Invalid webhook signature') {
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.message.includes('not available')) {
+      return res.status(404).json({ error: 'Unknown provider' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
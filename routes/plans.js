@@ -0,0 +1,172 @@
+// routes/plans.js - Admin management of the subscription plan catalog
+const router = require('express').Router();
+const PlanService = require('../services/planService');
+const SubscriptionService = require('../services/subscriptionService');
+
+// Middleware to ensure user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.redirect('/');
+  }
+  next();
+};
+
+// Plan errors are the admin's input; anything else is ours
+const sendPlanError = (res, error, fallback) => {
+  if (error.message.endsWith('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.startsWith('Plan was changed')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.startsWith('Plan')) {
+    return res.status(400).json({ error: error.message, validation_errors: error.validationErrors });
+  }
+  res.status(500).json({ error: fallback });
+};
+
+// GET /admin/plans - Every plan in catalog order, archived ones included,
+// with the units left of limited-stock plans
+router.get('/admin/plans', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const plans = await PlanService.getCatalog({ includeArchived: true, forceReload: true });
+    const stockLevels = await SubscriptionService.getStockLevels(plans);
+    res.json({
+      plans: plans.map(plan => ({
+        ...plan,
+        stock_remaining: stockLevels.has(plan.id) ? stockLevels.get(plan.id) : null
+      }))
+    });
+  } catch (error) {
+    console.error('[ERROR] Admin plans endpoint failed:', error);
+    res.status(500).json({ error: 'Failed to load plans' });
+  }
+});
+
+// GET /admin/plans/validation - Schema check of the live catalog and plans/subscriptions.json
+router.get('/admin/plans/validation', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const status = await PlanService.getValidationStatus();
+    res.json({
+      valid: status.catalog.valid && !status.catalog.load_error && status.file.valid !== false,
+      ...status
+    });
+  } catch (error) {
+    console.error('[ERROR] Plan validation endpoint failed:', error);
+    res.status(500).json({ error: 'Failed to validate plans' });
+  }
+});
+
+// POST /admin/plans - Create a plan from a plans/subscriptions.json style definition
+router.post('/admin/plans', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const plan = await PlanService.createPlan(req.body, { adminId: req.user._id || req.user.id });
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('[ERROR] Plan creation failed:', error);
+    sendPlanError(res, error, 'Failed to create plan');
+  }
+});
+
+// POST /admin/plans/reorder - Set catalog order ({ plan_ids: [...] })
+router.post('/admin/plans/reorder', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const plans = await PlanService.reorderPlans(req.body.plan_ids, { adminId: req.user._id || req.user.id });
+    res.json({ success: true, plans });
+  } catch (error) {
+    console.error('[ERROR] Plan reorder failed:', error);
+    sendPlanError(res, error, 'Failed to reorder plans');
+  }
+});
+
+// POST /admin/plans/:planId - Update a plan ({ changes: {...}, note }), creating a new version
+router.post('/admin/plans/:planId', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const plan = await PlanService.updatePlan(req.params.planId, req.body.changes, {
+      adminId: req.user._id || req.user.id,
+      note: req.body.note || null
+    });
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('[ERROR] Plan update failed:', error);
+    sendPlanError(res, error, 'Failed to update plan');
+  }
+});
+
+// POST /admin/plans/:planId/archive - Stop selling a plan
+router.post('/admin/plans/:planId/archive', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const plan = await PlanService.setArchived(req.params.planId, true, { adminId: req.user._id || req.user.id });
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('[ERROR] Plan archive failed:', error);
+    sendPlanError(res, error, 'Failed to archive plan');
+  }
+});
+
+// POST /admin/plans/:planId/restore - Put an archived plan back on sale
+router.post('/admin/plans/:planId/restore', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const plan = await PlanService.setArchived(req.params.planId, false, { adminId: req.user._id || req.user.id });
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('[ERROR] Plan restore failed:', error);
+    sendPlanError(res, error, 'Failed to restore plan');
+  }
+});
+
+// GET /admin/plans/:planId/versions - Version history of a plan, newest first
+router.get('/admin/plans/:planId/versions', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const versions = await PlanService.listVersions(req.params.planId);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json({ plan_id: req.params.planId, versions });
+  } catch (error) {
+    console.error('[ERROR] Plan versions endpoint failed:', error);
+    res.status(500).json({ error: 'Failed to load plan versions' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,190 @@
+// routes/receipts.js - Transaction receipt pages and admin receipt management
+const router = require('express').Router();
+const ReceiptService = require('../services/receiptService');
+const SubscriptionService = require('../services/subscriptionService');
+const Money = require('../utils/money');
+const { getDB } = require('../config/mongodb');
+const { ObjectId } = require('mongodb');
+
+const TRANSACTION_LABELS = {
+  purchase: 'Subscription Purchase',
+  renewal: 'Subscription Renewal',
+  upgrade: 'Plan Upgrade',
+  downgrade: 'Plan Downgrade',
+  refund: 'Subscription Refund',
+  transfer_out: 'VV Transfer Sent',
+  transfer_in: 'VV Transfer Received',
+  transfer_reversal_out: 'VV Transfer Reversed',
+  transfer_reversal_in: 'VV Transfer Reversed'
+};
+
+// Middleware to ensure user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.redirect('/');
+  }
+  next();
+};
+
+const isAdmin = (userId) => Boolean(process.env.ADMIN_USER_IDS && process.env.ADMIN_USER_IDS.split(',').includes(userId));
+
+const formatVV = (value) => (value === null || value === undefined ? null : `${Money.format(Money.fromDb(value))} VV`);
+
+// The lines printed on a receipt, depending on what kind of transaction it covers
+const presentReceipt = (receipt) => {
+  const snapshot = receipt.snapshot;
+  const lines = [];
+  const add = (label, value) => {
+    if (value !== null && value !== undefined) lines.push({ label, value });
+  };
+
+  if (snapshot.type === 'subscription_purchase') {
+    add('Plan', `${snapshot.plan_title || snapshot.plan_id}${snapshot.plan_version ? ` (version ${snapshot.plan_version})` : ''}`);
+    add('Original price', formatVV(snapshot.amount_vv));
+    add('Discount', Money.fromDb(snapshot.discount_vv) > 0
+      ? `-${formatVV(snapshot.discount_vv)}${snapshot.promo_code ? ` (${snapshot.promo_code})` : ''}`
+      : null);
+    add('Final price', formatVV(snapshot.final_price_vv));
+    add('Plan change credit', snapshot.plan_change_credit_vv ? `-${formatVV(snapshot.plan_change_credit_vv)}` : null);
+    add('Amount charged', formatVV(snapshot.amount_charged_vv));
+    add('Gift for', snapshot.gift_recipient);
+    add('Period covered', snapshot.period_end
+      ? `${snapshot.period_start ? SubscriptionService.formatIST(snapshot.period_start) : 'Pending'} – ${SubscriptionService.formatIST(snapshot.period_end)}`
+      : null);
+  } else if (snapshot.type === 'refund') {
+    add('Plan', snapshot.plan_title || snapshot.plan_id);
+    add('Amount paid', formatVV(snapshot.amount_vv));
+    add('Unused days', snapshot.unused_days);
+    add('Refunded', formatVV(snapshot.refund_amount_vv));
+    add('Cashback taken back', Money.fromDb(snapshot.cashback_reversed_vv) > 0 ? `-${formatVV(snapshot.cashback_reversed_vv)}` : null);
+    add('Referral bonus taken back', Money.fromDb(snapshot.referral_bonus_reversed_vv) > 0 ? `-${formatVV(snapshot.referral_bonus_reversed_vv)}` : null);
+    add('Reason', snapshot.reason);
+  } else {
+    add(snapshot.transaction_type && snapshot.transaction_type.endsWith('_out') ? 'Sent to' : 'Received from', snapshot.counterparty_id);
+    add('Amount', formatVV(snapshot.amount_vv));
+    add('Note', snapshot.note);
+    add('Reason', snapshot.reason);
+  }
+
+  add('Balance before', formatVV(snapshot.balance_before_vv));
+  add('Balance after', formatVV(snapshot.balance_after_vv));
+
+  return {
+    number: receipt.number,
+    status: receipt.status,
+    version: receipt.version,
+    title: TRANSACTION_LABELS[snapshot.transaction_type] || 'VV Transaction',
+    transaction_id: receipt.transaction_id.toString(),
+    transaction_date_ist: SubscriptionService.formatIST(snapshot.transaction_date),
+    issued_at_ist: SubscriptionService.formatIST(receipt.issued_at),
+    regenerated_at_ist: receipt.regenerated_at ? SubscriptionService.formatIST(receipt.regenerated_at) : null,
+    voided_at_ist: receipt.voided_at ? SubscriptionService.formatIST(receipt.voided_at) : null,
+    void_reason: receipt.void_reason || null,
+    lines
+  };
+};
+
+// GET /profile/transactions/:id - Printable receipt (?download=1 saves it as an HTML file)
+router.get('/profile/transactions/:id', requireAuth, async (req, res) => {
+  const notFound = () => res.status(404).render('error', {
+    title: 'Receipt Not Found',
+    message: 'This receipt could not be found.'
+  });
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return notFound();
+    }
+
+    const transactionId = new ObjectId(req.params.id);
+    const userId = req.user._id || req.user.id;
+    const transaction = await getDB().collection('transactions').findOne({ _id: transactionId }, { projection: { user_id: 1 } });
+    // Other members' receipts look missing rather than forbidden
+    if (!transaction || (transaction.user_id !== userId && !isAdmin(userId))) {
+      return notFound();
+    }
+
+    const receipt = await ReceiptService.getByTransaction(transactionId);
+    if (!receipt) {
+      return notFound();
+    }
+
+    const owner = await getDB().collection('users').findOne({ _id: transaction.user_id }, { projection: { username: 1 } });
+
+    if (req.query.download) {
+      res.attachment(`receipt-${receipt.number}.html`);
+    }
+    res.render('receipt', {
+      owner: owner || { username: transaction.user_id },
+      receipt: presentReceipt(receipt),
+      download: Boolean(req.query.download)
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to load receipt:', error);
+    res.status(500).render('error', {
+      title: 'Server Error',
+      message: 'Failed to load the receipt.'
+    });
+  }
+});
+
+// POST /admin/transactions/:id/receipt/regenerate - Rebuild a receipt from its transaction
+router.post('/admin/transactions/:id/receipt/regenerate', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid transaction ID' });
+    }
+
+    const receipt = await ReceiptService.regenerate(new ObjectId(req.params.id), {
+      adminId: req.user._id || req.user.id
+    });
+    res.json({ success: true, receipt: presentReceipt(receipt) });
+  } catch (error) {
+    console.error('[ERROR] Receipt regeneration failed:', error);
+
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Receipt')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to regenerate receipt' });
+  }
+});
+
+// POST /admin/transactions/:id/receipt/void - Void a receipt, keeping its number
+router.post('/admin/transactions/:id/receipt/void', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid transaction ID' });
+    }
+
+    const receipt = await ReceiptService.voidReceipt(new ObjectId(req.params.id), {
+      adminId: req.user._id || req.user.id,
+      reason: req.body.reason || null
+    });
+    res.json({ success: true, receipt: presentReceipt(receipt) });
+  } catch (error) {
+    console.error('[ERROR] Receipt void failed:', error);
+
+    if (error.message === 'Receipt not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Receipt')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to void receipt' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,8 +1,21 @@
 // routes/subscription.js (Updated with proper decimal balance handling)
 const router = require('express').Router();
-const { getDB } = require('../config/mongodb');
+const { getDB, withTransaction } = require('../config/mongodb');
 const SubscriptionService = require('../services/subscriptionService');
-const crypto = require('crypto');
+const LedgerService = require('../services/ledgerService');
+const PromoCodeService = require('../services/promoCodeService');
+const LedgerReconciler = require('../services/ledgerReconciler');
+const DepositService = require('../services/depositService');
+const PaymentProviders = require('../services/paymentProviders');
+const TransferService = require('../services/transferService');
+const ReferralService = require('../services/referralService');
+const LoyaltyService = require('../services/loyaltyService');
+const ReceiptService = require('../services/receiptService');
+const QuoteService = require('../services/quoteService');
+const FraudService = require('../services/fraudService');
+const ProductService = require('../services/productService');
+const Money = require('../utils/money');
+const { ObjectId } = require('mongodb');
 
 // Middleware to ensure user is authenticated
 const requireAuth = (req, res, next) => {
@@ -12,23 +25,97 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
-// GET /minecraft/subscription - Display subscription catalog with decimal support
-router.get('/minecraft/subscription', requireAuth, async (req, res) => {
+// Resolve the :product of a store URL; unknown slugs fall through to the 404 page
+const loadProduct = async (req, res, next) => {
   try {
-    const plans = await SubscriptionService.getPlans();
-    const plansWithPrices = plans.map(plan => {
-      const priceInfo = SubscriptionService.calculateFinalPrice(plan, true);
-      return {
-        ...plan,
-        final_price: priceInfo.finalPrice,
-        discount_amount: priceInfo.discountAmount,
-        duration_text: SubscriptionService.formatDuration(plan.days),
-        formatted_final_price: priceInfo.formattedFinal,
-        formatted_original_price: priceInfo.formattedOriginal,
-        formatted_discount: priceInfo.formattedDiscount
-      };
-    });
+    const product = await ProductService.getProduct(req.params.product);
+    if (!product) {
+      return next('route');
+    }
+    req.product = product;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Purchase and quote errors that are safe to show to the member
+const describePurchaseError = (error) => {
+  if (error.message.includes('Insufficient VV balance')) {
+    return error.message;
+  } else if (error.message.includes('Plan not found')) {
+    return 'Selected plan is not available';
+  } else if (error.message.includes('already processed')) {
+    return 'Transaction already processed';
+  } else if (error.message.includes('User not found')) {
+    return 'User account not found';
+  } else if (error.message.startsWith('Not eligible') || error.message === 'Plan is sold out') {
+    return error.message;
+  } else if (error.message.startsWith('Promo code') || error.message.startsWith('Gift recipient') || error.message.startsWith('Free trial') || error.message.startsWith('Quote') || error.message.startsWith('Idempotency key') || error.message.includes('is paused')) {
+    return error.message;
+  }
+  return 'Purchase failed';
+};
+
+// Gifts name the recipient by Discord user ID or by username of a known member
+const resolveRecipientId = async (giftRecipient, userId) => {
+  if (!giftRecipient) return null;
+
+  const { userId: recipientId } = await SubscriptionService.resolveGiftRecipient(giftRecipient);
+  if (recipientId === userId) {
+    throw new Error('Gift recipient cannot be yourself');
+  }
+  return recipientId;
+};
+
+// Purchase response built from the stored transaction, so a replayed request
+// gets the same answer as the original one
+const buildPurchaseResponse = (transaction) => {
+  const finalPrice = Money.fromDb(transaction.final_price_vv);
+  const isPlanChange = Boolean(transaction.previous_subscription_id);
+  const amountCharged = isPlanChange ? Money.fromDb(transaction.amount_charged_vv) : finalPrice;
 
+  let message = 'Subscription purchased successfully! You will receive your Discord role shortly.';
+  if (transaction.is_trial) {
+    message = 'Free trial started! You will receive your Discord role shortly.';
+  } else if (transaction.gift && transaction.gift.status !== 'delivered') {
+    message = 'Gift purchased! It will be delivered when the recipient first logs in.';
+  } else if (transaction.gift) {
+    message = 'Gift delivered! The recipient has been notified.';
+  }
+
+  return {
+    success: true,
+    message,
+    transaction_id: transaction._id,
+    final_price: Money.toNumber(finalPrice),
+    formatted_final_price: SubscriptionService.formatVV(finalPrice),
+    subscription_id: transaction.subscription_id || null,
+    expires_at: transaction.subscription_expires_at || null,
+    is_gift: Boolean(transaction.gift),
+    is_trial: transaction.is_trial || false,
+    gift_status: transaction.gift ? transaction.gift.status : null,
+    is_renewal: transaction.transaction_type === 'renewal',
+    change_type: isPlanChange ? transaction.transaction_type : null,
+    plan_change_credit: Money.toNumber(Money.fromDb(transaction.plan_change_credit_vv)),
+    amount_charged: Money.toNumber(amountCharged),
+    formatted_amount_charged: SubscriptionService.formatVV(amountCharged),
+    promo_code: transaction.promo_code ? transaction.promo_code.code : null
+  };
+};
+
+const sendPurchaseReplay = (res, transaction) => {
+  res.set('Idempotent-Replayed', 'true');
+  res.json({ ...buildPurchaseResponse(transaction), replayed: true });
+};
+
+// GET /:product/subscription - Display a product's subscription catalog (amounts in micro-VV)
+router.get('/:product/subscription', loadProduct, requireAuth, async (req, res) => {
+  try {
+    const [plans, products] = await Promise.all([
+      SubscriptionService.getPlans({ product: req.product.slug }),
+      ProductService.getProducts()
+    ]);
     const db = getDB();
     // Ensure we get the most up-to-date user data with balance
     const user = await db.collection('users').findOne({ _id: req.user._id || req.user.id });
@@ -38,25 +125,69 @@ router.get('/minecraft/subscription', requireAuth, async (req, res) => {
       return res.status(404).send('User not found');
     }
 
-    // Ensure user has a balance field (handle as decimal)
-    let userBalance = parseFloat(user.vv_balance || 0);
+    // Ensure user has a balance field (initialized through the ledger)
+    let userBalance = Money.fromDb(user.vv_balance);
     if (user.vv_balance === undefined || user.vv_balance === null) {
-      // Initialize balance if it doesn't exist (use decimal default)
-      const defaultBalance = parseFloat(process.env.DEFAULT_VV_BALANCE) || 0.00;
-      await db.collection('users').updateOne(
-        { _id: user._id },
-        { $set: { vv_balance: defaultBalance, updated_at: new Date() } }
-      );
-      userBalance = defaultBalance;
-      console.log(`[INFO] Initialized balance for user ${user._id}: ${SubscriptionService.formatVV(defaultBalance)} VV`);
+      userBalance = await LedgerService.initializeBalance(user._id);
     }
 
     console.log(`[DEBUG] User ${user._id} balance: ${SubscriptionService.formatVV(userBalance)} VV`);
-    
+
+    const trialEligibility = plans.some(plan => plan.trial)
+      ? await SubscriptionService.checkTrialEligibility(user._id)
+      : null;
+
+    // Roles are fetched once for every plan that requires one
+    const stockLevels = await SubscriptionService.getStockLevels(plans);
+    let memberRoles = null;
+    if (plans.some(plan => plan.eligibility && plan.eligibility.required_role_id)) {
+      memberRoles = await SubscriptionService.getDiscordMemberRoles(user._id).catch((error) => {
+        console.error(`[ERROR] Failed to fetch Discord roles of ${user._id}:`, error.message);
+        return null;
+      });
+    }
+    const planEligibility = await Promise.all(plans.map(plan => (
+      memberRoles === null && plan.eligibility && plan.eligibility.required_role_id
+        ? { eligible: false, reason: 'Not eligible - your Discord roles could not be checked, please try again later', soldOut: false }
+        : SubscriptionService.checkPlanEligibility(user._id, plan, { memberRoles, stockLevels })
+    )));
+
+    const plansWithPrices = plans.map((plan, index) => {
+      const priceInfo = SubscriptionService.calculateFinalPrice(plan, true);
+      return {
+        ...plan,
+        final_price: priceInfo.finalPrice,
+        discount_amount: priceInfo.discountAmount,
+        duration_text: SubscriptionService.formatDuration(plan.days),
+        formatted_final_price: priceInfo.formattedFinal,
+        formatted_original_price: priceInfo.formattedOriginal,
+        formatted_discount: priceInfo.formattedDiscount,
+        formatted_cost_per_day: SubscriptionService.formatVV(Math.round(priceInfo.finalPrice / plan.days)),
+        is_affordable: userBalance >= priceInfo.finalPrice,
+        formatted_shortfall: SubscriptionService.formatVV(Math.max(0, priceInfo.finalPrice - userBalance)),
+        trial_eligibility: plan.trial ? trialEligibility : null,
+        eligibility: planEligibility[index],
+        stock_remaining: stockLevels.has(plan.id) ? stockLevels.get(plan.id) : null,
+        sale: plan.sale ? {
+          label: plan.sale.label,
+          ends_at: plan.sale.ends_at.toISOString(),
+          ends_at_ist: SubscriptionService.formatIST(plan.sale.ends_at),
+          formatted_was_price: SubscriptionService.formatVV(plan.sale.regular_price)
+        } : null,
+        next_price_change: plan.next_price_change ? {
+          effective_at_ist: SubscriptionService.formatIST(plan.next_price_change.effective_at),
+          formatted_price: SubscriptionService.formatVV(plan.next_price_change.price)
+        } : null
+      };
+    });
+
     res.render('subscription', {
+      product: req.product,
+      products,
       plans: plansWithPrices,
-      user: { ...user, vv_balance: userBalance },
-      userBalance: userBalance
+      user: { ...user, vv_balance: Money.toNumber(userBalance) },
+      userBalance: userBalance,
+      formattedBalance: SubscriptionService.formatVV(userBalance)
     });
   } catch (error) {
     console.error('[ERROR] Failed to load subscription page:', error);
@@ -68,50 +199,92 @@ router.get('/minecraft/subscription', requireAuth, async (req, res) => {
   }
 });
 
-// POST /minecraft/subscription/purchase - Purchase a subscription with decimal support
-router.post('/minecraft/subscription/purchase', requireAuth, async (req, res) => {
+// POST /:product/subscription/quote - Price a checkout and sign it for the confirmation step
+router.post('/:product/subscription/quote', loadProduct, requireAuth, async (req, res) => {
   try {
-    const { plan_id } = req.body;
-    const idempotencyKey = req.headers['idempotency-key'] || crypto.randomUUID();
-    
+    const { plan_id, promo_code, gift_recipient } = req.body;
     if (!plan_id) {
       return res.status(400).json({ error: 'Plan ID is required' });
     }
 
-    console.log(`[INFO] Processing subscription purchase: User ${req.user._id || req.user.id}, Plan ${plan_id}`);
+    const userId = req.user._id || req.user.id;
+    const recipientId = await resolveRecipientId(gift_recipient, userId);
+    const { quote, token, plan } = await QuoteService.createQuote(userId, plan_id, {
+      promoCode: promo_code || null,
+      recipientId,
+      product: req.product.slug
+    });
+
+    res.json({
+      success: true,
+      quote_token: token,
+      expires_in: QuoteService.QUOTE_TTL_SECONDS,
+      quote: QuoteService.formatQuote(quote, plan)
+    });
+  } catch (error) {
+    console.error('[ERROR] Subscription quote failed:', error);
+    res.status(400).json({ error: describePurchaseError(error) });
+  }
+});
+
+// POST /:product/subscription/purchase - Purchase a subscription with decimal support.
+// With a quote_token the purchase is exactly the quoted one, or it fails as stale.
+// An Idempotency-Key header is required; retrying with the same key replays the
+// original response instead of charging again.
+router.post('/:product/subscription/purchase', loadProduct, requireAuth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (typeof idempotencyKey !== 'string' || !/^[\w:.-]{8,128}$/.test(idempotencyKey)) {
+      return res.status(400).json({ error: 'An Idempotency-Key header of 8-128 characters is required' });
+    }
+
+    // A retry may arrive after its quote has expired, so replay before checking it
+    const previous = await SubscriptionService.findPurchaseByIdempotencyKey(userId, idempotencyKey);
+    if (previous) {
+      return sendPurchaseReplay(res, previous);
+    }
+
+    let { plan_id, promo_code, gift_recipient } = req.body;
+    let quote = null;
+    let recipientId = null;
+
+    if (req.body.quote_token) {
+      quote = QuoteService.verifyToken(req.body.quote_token, userId);
+      ({ plan_id, promo_code, recipient_id: recipientId } = quote);
+    } else {
+      if (!plan_id) {
+        return res.status(400).json({ error: 'Plan ID is required' });
+      }
+      recipientId = await resolveRecipientId(gift_recipient, userId);
+    }
+
+    console.log(`[INFO] Processing subscription purchase: User ${userId}, Plan ${plan_id}${recipientId ? `, Gift for ${recipientId}` : ''}${quote ? `, Quote ${quote.id}` : ''}`);
 
     const result = await SubscriptionService.purchaseSubscription(
-      req.user._id || req.user.id,
+      userId,
       plan_id,
-      idempotencyKey
+      idempotencyKey,
+      { promoCode: promo_code || null, recipientId, quote, product: req.product.slug }
     );
 
-    res.json({
-      success: true,
-      message: 'Subscription purchased successfully! You will receive your Discord role shortly.',
-      final_price: result.finalPrice,
-      formatted_final_price: SubscriptionService.formatVV(result.finalPrice),
-      subscription_id: result.subscription._id,
-      expires_at: result.subscription.expires_at,
-      is_renewal: result.isRenewal || false
-    });
+    if (result.replayed) {
+      return sendPurchaseReplay(res, result.transaction);
+    }
+    res.json(buildPurchaseResponse(result.transaction));
   } catch (error) {
     console.error('[ERROR] Subscription purchase failed:', error);
-    
-    // Return appropriate error message
-    let errorMessage = 'Purchase failed';
-    if (error.message.includes('Insufficient VV balance')) {
-      errorMessage = error.message;
-    } else if (error.message.includes('Plan not found')) {
-      errorMessage = 'Selected plan is not available';
-    } else if (error.message.includes('already processed')) {
-      errorMessage = 'Transaction already processed';
-    } else if (error.message.includes('User not found')) {
-      errorMessage = 'User account not found';
+
+    if (error.fraudEvent) {
+      return res.status(403).json({
+        error: error.message,
+        held: error.fraudEvent.status === 'held'
+      });
     }
-    
-    res.status(400).json({ 
-      error: errorMessage,
+
+    const status = error.message.startsWith('Idempotency key') ? 409 : 400;
+    res.status(status).json({
+      error: describePurchaseError(error),
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -131,35 +304,236 @@ router.get('/profile', requireAuth, async (req, res) => {
       });
     }
 
-    // Ensure user has balance (handle as decimal)
-    let userBalance = parseFloat(user.vv_balance || 0);
+    // Ensure user has balance (initialized through the ledger)
+    let userBalance = Money.fromDb(user.vv_balance);
     if (user.vv_balance === undefined || user.vv_balance === null) {
-      const defaultBalance = parseFloat(process.env.DEFAULT_VV_BALANCE) || 0.00;
-      await db.collection('users').updateOne(
-        { _id: user._id },
-        { $set: { vv_balance: defaultBalance, updated_at: new Date() } }
-      );
-      userBalance = defaultBalance;
-      user.vv_balance = userBalance;
+      userBalance = await LedgerService.initializeBalance(user._id);
     }
 
-    // Get active subscription using the service
-    const subscriptionInfo = await SubscriptionService.getUserActiveSubscription(user._id);
+    // Get every active subscription (one per tier) using the service
+    const [subscriptions, pausedSubscriptions, deposits, transfers, referrals, loyalty, receipts, products] = await Promise.all([
+      SubscriptionService.getUserActiveSubscriptions(user._id),
+      SubscriptionService.getUserPausedSubscriptions(user._id),
+      DepositService.getUserDeposits(user._id),
+      TransferService.getUserTransfers(user._id),
+      ReferralService.getDashboard(user._id),
+      LoyaltyService.getProgress(user._id),
+      ReceiptService.getUserReceipts(user._id, 10),
+      ProductService.getProducts()
+    ]);
+    // Subscriptions of a product that was since removed still show under its slug
+    const withProductName = subscription => ({
+      ...subscription,
+      product_name: (products.find(product => product.slug === subscription.product) || { name: subscription.product }).name
+    });
+    referrals.link = `${req.protocol}://${req.get('host')}/auth/discord?ref=${referrals.code}`;
+    referrals.invites = referrals.invites.map(invite => ({
+      ...invite,
+      created_at_ist: SubscriptionService.formatIST(invite.created_at)
+    }));
     
     res.render('profile', {
-      user: { ...user, vv_balance: userBalance },
-      subscription: subscriptionInfo
+      user: { ...user, vv_balance: Money.toNumber(userBalance) },
+      formattedBalance: SubscriptionService.formatVV(userBalance),
+      products,
+      subscriptions: subscriptions.map(withProductName),
+      pausedSubscriptions: pausedSubscriptions.map(withProductName),
+      deposits,
+      paymentProviders: PaymentProviders.listProviders(),
+      canSimulateDeposits: PaymentProviders.canSimulate(user._id),
+      transfers,
+      transferLimits: TransferService.getLimits(),
+      referrals,
+      referralRewards: ReferralService.getRewards(),
+      loyalty,
+      receipts: receipts.map(receipt => {
+        const change = Money.fromDb(receipt.snapshot.balance_after_vv) - Money.fromDb(receipt.snapshot.balance_before_vv);
+        return {
+          number: receipt.number,
+          status: receipt.status,
+          transaction_id: receipt.transaction_id.toString(),
+          description: receipt.snapshot.plan_title || receipt.snapshot.transaction_type,
+          formatted_change: `${change > 0 ? '+' : ''}${Money.format(change)}`,
+          created_at_ist: SubscriptionService.formatIST(receipt.snapshot.transaction_date)
+        };
+      })
     });
   } catch (error) {
     console.error('[ERROR] Failed to load profile:', error);
-    res.render('profile', { 
-      user: req.user, 
-      subscription: null,
+    res.render('profile', {
+      user: req.user,
+      formattedBalance: null,
+      subscriptions: [],
+      pausedSubscriptions: [],
+      deposits: [],
+      products: [],
+      paymentProviders: [],
+      canSimulateDeposits: false,
+      transfers: [],
+      transferLimits: null,
+      referrals: null,
+      referralRewards: null,
+      loyalty: null,
+      receipts: [],
       error: 'Failed to load subscription information'
     });
   }
 });
 
+// POST /profile/subscription/cancel - Cancel own subscription with a prorated VV refund
+router.post('/profile/subscription/cancel', requireAuth, async (req, res) => {
+  try {
+    const { subscription_id } = req.body;
+    const userId = req.user._id || req.user.id;
+
+    if (!subscription_id || !ObjectId.isValid(subscription_id)) {
+      return res.status(400).json({ error: 'Valid subscription ID is required' });
+    }
+
+    const result = await SubscriptionService.cancelSubscription(new ObjectId(subscription_id), {
+      userId,
+      initiatedBy: userId,
+      reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled. The unused portion has been refunded to your balance.',
+      refund_amount: Money.toNumber(result.refundAmount),
+      formatted_refund_amount: SubscriptionService.formatVV(result.refundAmount),
+      balance_after: Money.toNumber(Money.fromDb(result.transaction.user_balance_after)),
+      formatted_balance_after: SubscriptionService.formatVV(Money.fromDb(result.transaction.user_balance_after))
+    });
+  } catch (error) {
+    console.error('[ERROR] Subscription cancellation failed:', error);
+
+    let errorMessage = 'Cancellation failed';
+    if (error.message.includes('Subscription not found')) {
+      errorMessage = 'Subscription not found';
+    } else if (error.message.includes('not active')) {
+      errorMessage = 'Subscription is no longer active';
+    } else if (error.message.startsWith('Gifted subscriptions')) {
+      errorMessage = 'Gifted subscriptions can only be refunded by an admin';
+    }
+
+    res.status(400).json({
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /profile/subscription/pause - Pause own subscription, banking the remaining time
+router.post('/profile/subscription/pause', requireAuth, async (req, res) => {
+  try {
+    const { subscription_id } = req.body;
+    const userId = req.user._id || req.user.id;
+
+    if (!subscription_id || !ObjectId.isValid(subscription_id)) {
+      return res.status(400).json({ error: 'Valid subscription ID is required' });
+    }
+
+    const subscription = await SubscriptionService.pauseSubscription(new ObjectId(subscription_id), {
+      userId,
+      initiatedBy: userId,
+      reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscription paused. Your remaining time is saved until you resume.',
+      banked_ms: subscription.paused_remaining_ms,
+      resume_by: subscription.pause_resume_by,
+      resume_by_ist: SubscriptionService.formatIST(subscription.pause_resume_by)
+    });
+  } catch (error) {
+    console.error('[ERROR] Subscription pause failed:', error);
+
+    if (error.message.includes('Subscription not found')) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (error.message.includes('not active')) {
+      return res.status(400).json({ error: 'Subscription is no longer active' });
+    }
+    if (error.message.startsWith('Pause')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to pause subscription' });
+  }
+});
+
+// POST /profile/subscription/resume - Resume a paused subscription
+router.post('/profile/subscription/resume', requireAuth, async (req, res) => {
+  try {
+    const { subscription_id } = req.body;
+    const userId = req.user._id || req.user.id;
+
+    if (!subscription_id || !ObjectId.isValid(subscription_id)) {
+      return res.status(400).json({ error: 'Valid subscription ID is required' });
+    }
+
+    const subscription = await SubscriptionService.resumeSubscription(new ObjectId(subscription_id), {
+      userId,
+      initiatedBy: userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscription resumed and your role has been restored.',
+      expires_at: subscription.expires_at,
+      expires_at_ist: SubscriptionService.formatIST(subscription.expires_at)
+    });
+  } catch (error) {
+    console.error('[ERROR] Subscription resume failed:', error);
+
+    if (error.message.includes('Subscription not found')) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (error.message.includes('not paused')) {
+      return res.status(400).json({ error: 'Subscription is not paused' });
+    }
+    res.status(500).json({ error: 'Failed to resume subscription' });
+  }
+});
+
+// POST /profile/subscription/auto-renew - Toggle auto-renewal from VV balance
+router.post('/profile/subscription/auto-renew', requireAuth, async (req, res) => {
+  try {
+    const { subscription_id, enabled } = req.body;
+
+    if (!subscription_id || !ObjectId.isValid(subscription_id)) {
+      return res.status(400).json({ error: 'Valid subscription ID is required' });
+    }
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const subscription = await SubscriptionService.setAutoRenew(
+      new ObjectId(subscription_id),
+      req.user._id || req.user.id,
+      enabled
+    );
+
+    res.json({
+      success: true,
+      auto_renew: subscription.auto_renew,
+      message: enabled
+        ? 'Auto-renewal enabled. We will renew from your VV balance shortly before expiry.'
+        : 'Auto-renewal disabled.'
+    });
+  } catch (error) {
+    console.error('[ERROR] Auto-renew toggle failed:', error);
+
+    if (error.message.includes('not found or not active')) {
+      return res.status(404).json({ error: 'Subscription not found or not active' });
+    }
+    if (error.message.startsWith('Free trial')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update auto-renewal' });
+  }
+});
+
 // GET /admin/subscriptions - Admin panel for subscription management with decimal support
 router.get('/admin/subscriptions', requireAuth, async (req, res) => {
   // Simple admin check
@@ -169,11 +543,22 @@ router.get('/admin/subscriptions', requireAuth, async (req, res) => {
 
   try {
     const db = getDB();
-    const [activeSubscriptions, recentTransactions, stats] = await Promise.all([
-      db.collection('subscriptions').find({ status: 'active' })
+    const activeFilter = { status: 'active' };
+    const graceFilter = { status: 'grace' };
+    if (req.query.tier) {
+      activeFilter.tier = SubscriptionService.tierQuery(req.query.tier);
+      graceFilter.tier = SubscriptionService.tierQuery(req.query.tier);
+    }
+
+    const [activeSubscriptions, graceSubscriptions, recentTransactions, stats, activeByTier, activeSubscribers, trialStats] = await Promise.all([
+      db.collection('subscriptions').find(activeFilter)
         .sort({ expires_at: 1 })
         .limit(20)
         .toArray(),
+      db.collection('subscriptions').find(graceFilter)
+        .sort({ grace_ends_at: 1 })
+        .limit(20)
+        .toArray(),
       db.collection('transactions').find({ type: 'subscription_purchase' })
         .sort({ created_at: -1 })
         .limit(20)
@@ -186,44 +571,75 @@ router.get('/admin/subscriptions', requireAuth, async (req, res) => {
             total_revenue: { $sum: '$paid_price_vv' }
           }
         }
-      ]).toArray()
+      ]).toArray(),
+      db.collection('subscriptions').aggregate([
+        { $match: { status: 'active' } },
+        { $group: { _id: { $ifNull: ['$tier', SubscriptionService.DEFAULT_TIER] }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]).toArray(),
+      db.collection('subscriptions').distinct('user_id', { status: 'active' }),
+      SubscriptionService.getTrialStats()
     ]);
 
-    // Format decimal values in the response
-    const formattedStats = stats.map(stat => ({
-      ...stat,
-      total_revenue: parseFloat(stat.total_revenue || 0),
-      formatted_revenue: SubscriptionService.formatVV(stat.total_revenue || 0)
-    }));
+    // Convert stored Decimal128 amounts to VV numbers plus exact formatted strings
+    const formattedStats = stats.map(stat => {
+      const revenue = Money.fromDb(stat.total_revenue);
+      return {
+        ...stat,
+        total_revenue: Money.toNumber(revenue),
+        formatted_revenue: SubscriptionService.formatVV(revenue)
+      };
+    });
 
-    const formattedTransactions = recentTransactions.map(tx => ({
-      ...tx,
-      final_price_vv: parseFloat(tx.final_price_vv || 0),
-      formatted_final_price: SubscriptionService.formatVV(tx.final_price_vv || 0),
-      user_balance_before: parseFloat(tx.user_balance_before || 0),
-      user_balance_after: parseFloat(tx.user_balance_after || 0),
-      formatted_balance_before: SubscriptionService.formatVV(tx.user_balance_before || 0),
-      formatted_balance_after: SubscriptionService.formatVV(tx.user_balance_after || 0)
-    }));
+    const formattedTransactions = recentTransactions.map(tx => {
+      const finalPrice = Money.fromDb(tx.final_price_vv);
+      const balanceBefore = Money.fromDb(tx.user_balance_before);
+      const balanceAfter = Money.fromDb(tx.user_balance_after);
+      return {
+        ...tx,
+        final_price_vv: Money.toNumber(finalPrice),
+        formatted_final_price: SubscriptionService.formatVV(finalPrice),
+        user_balance_before: Money.toNumber(balanceBefore),
+        user_balance_after: Money.toNumber(balanceAfter),
+        formatted_balance_before: SubscriptionService.formatVV(balanceBefore),
+        formatted_balance_after: SubscriptionService.formatVV(balanceAfter)
+      };
+    });
 
-    const formattedSubscriptions = activeSubscriptions.map(sub => ({
-      ...sub,
-      paid_price_vv: parseFloat(sub.paid_price_vv || 0),
-      total_paid_vv: parseFloat(sub.total_paid_vv || 0),
-      formatted_paid_price: SubscriptionService.formatVV(sub.paid_price_vv || 0),
-      formatted_total_paid: SubscriptionService.formatVV(sub.total_paid_vv || 0)
+    const formatSubscription = sub => {
+      const paidPrice = Money.fromDb(sub.paid_price_vv);
+      const totalPaid = Money.fromDb(sub.total_paid_vv);
+      return {
+        ...sub,
+        tier: sub.tier || SubscriptionService.DEFAULT_TIER,
+        paid_price_vv: Money.toNumber(paidPrice),
+        total_paid_vv: Money.toNumber(totalPaid),
+        formatted_paid_price: SubscriptionService.formatVV(paidPrice),
+        formatted_total_paid: SubscriptionService.formatVV(totalPaid)
+      };
+    };
+
+    const formattedSubscriptions = activeSubscriptions.map(formatSubscription);
+    const formattedGraceSubscriptions = graceSubscriptions.map(sub => ({
+      ...formatSubscription(sub),
+      grace_ends_at_ist: SubscriptionService.formatIST(sub.grace_ends_at)
     }));
 
+    const totalRevenue = Money.sum(stats.map(stat => Money.fromDb(stat.total_revenue)));
+
     res.json({
       active_subscriptions: formattedSubscriptions,
+      grace_subscriptions: formattedGraceSubscriptions,
       recent_transactions: formattedTransactions,
       stats: formattedStats,
       summary: {
         total_active: formattedSubscriptions.length,
-        total_revenue_all: formattedStats.reduce((sum, stat) => sum + stat.total_revenue, 0),
-        formatted_total_revenue: SubscriptionService.formatVV(
-          formattedStats.reduce((sum, stat) => sum + stat.total_revenue, 0)
-        )
+        active_subscribers: activeSubscribers.length,
+        total_grace: formattedGraceSubscriptions.length,
+        trials: trialStats,
+        active_by_tier: Object.fromEntries(activeByTier.map(tier => [tier._id, tier.count])),
+        total_revenue_all: Money.toNumber(totalRevenue),
+        formatted_total_revenue: SubscriptionService.formatVV(totalRevenue)
       }
     });
   } catch (error) {
@@ -232,6 +648,40 @@ router.get('/admin/subscriptions', requireAuth, async (req, res) => {
   }
 });
 
+// POST /admin/subscriptions/:subscriptionId/refund - Admin endpoint to cancel and refund a subscription
+router.post('/admin/subscriptions/:subscriptionId/refund', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const { subscriptionId } = req.params;
+    if (!ObjectId.isValid(subscriptionId)) {
+      return res.status(400).json({ error: 'Invalid subscription ID' });
+    }
+
+    const result = await SubscriptionService.cancelSubscription(new ObjectId(subscriptionId), {
+      initiatedBy: req.user._id || req.user.id,
+      reason: req.body.reason || 'No reason provided'
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscription refunded successfully',
+      subscription_id: result.subscription._id,
+      user_id: result.subscription.user_id,
+      refund_amount: Money.toNumber(result.refundAmount),
+      formatted_refund_amount: SubscriptionService.formatVV(result.refundAmount),
+      transaction_id: result.transaction._id
+    });
+  } catch (error) {
+    console.error('[ERROR] Admin refund failed:', error);
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 // GET /admin/users - Admin endpoint to view user balances
 router.get('/admin/users', requireAuth, async (req, res) => {
   // Simple admin check
@@ -254,12 +704,15 @@ router.get('/admin/users', requireAuth, async (req, res) => {
 
     const totalUsers = await db.collection('users').countDocuments({});
 
-    const formattedUsers = users.map(user => ({
+    const balances = users.map(user => Money.fromDb(user.vv_balance));
+    const totalBalance = Money.sum(balances);
+
+    const formattedUsers = users.map((user, index) => ({
       _id: user._id,
       username: user.username,
       email: user.email,
-      vv_balance: parseFloat(user.vv_balance || 0),
-      formatted_balance: SubscriptionService.formatVV(user.vv_balance || 0),
+      vv_balance: Money.toNumber(balances[index]),
+      formatted_balance: SubscriptionService.formatVV(balances[index]),
       last_login: user.last_login,
       created_at: user.created_at
     }));
@@ -273,12 +726,10 @@ router.get('/admin/users', requireAuth, async (req, res) => {
         per_page: limit
       },
       summary: {
-        total_balance: formattedUsers.reduce((sum, user) => sum + user.vv_balance, 0),
-        formatted_total_balance: SubscriptionService.formatVV(
-          formattedUsers.reduce((sum, user) => sum + user.vv_balance, 0)
-        ),
-        average_balance: formattedUsers.length > 0 
-          ? formattedUsers.reduce((sum, user) => sum + user.vv_balance, 0) / formattedUsers.length 
+        total_balance: Money.toNumber(totalBalance),
+        formatted_total_balance: SubscriptionService.formatVV(totalBalance),
+        average_balance: formattedUsers.length > 0
+          ? Money.toNumber(Math.round(totalBalance / formattedUsers.length))
           : 0
       }
     });
@@ -288,6 +739,71 @@ router.get('/admin/users', requireAuth, async (req, res) => {
   }
 });
 
+// New balance for an admin adjustment: operation is 'set', 'add' or 'subtract'
+const balanceAfterAdjustment = (currentBalance, operation, amount) => {
+  switch (operation) {
+    case 'set':
+      return amount;
+    case 'add':
+      return currentBalance + amount;
+    case 'subtract':
+      return Math.max(0, currentBalance - amount);
+  }
+};
+
+// Adjust through the ledger and record the admin action in one transaction.
+// Returns { currentBalance, newBalance }, or null if the user doesn't exist.
+const adjustBalance = async (userId, { operation, adjustmentAmount, reason, adminId }) => {
+  const adjustment = await withTransaction(async (session) => {
+    const db = getDB();
+    const user = await db.collection('users').findOne({ _id: userId }, { session });
+    if (!user) {
+      return null;
+    }
+
+    const currentBalance = Money.fromDb(user.vv_balance);
+    const newBalance = balanceAfterAdjustment(currentBalance, operation, adjustmentAmount);
+
+    const adminActionId = new ObjectId();
+    const delta = newBalance - currentBalance;
+    if (delta !== 0) {
+      const ledgerOptions = {
+        type: 'admin_adjustment',
+        reference: { collection: 'admin_actions', id: adminActionId },
+        metadata: { operation, reason: reason || 'No reason provided' },
+        createdBy: adminId,
+        session
+      };
+      if (delta > 0) {
+        await LedgerService.credit(userId, delta, ledgerOptions);
+      } else {
+        await LedgerService.debit(userId, -delta, { ...ledgerOptions, to: LedgerService.SYSTEM_ACCOUNTS.ISSUANCE });
+      }
+    }
+
+    // Log the admin action
+    await db.collection('admin_actions').insertOne({
+      _id: adminActionId,
+      admin_user_id: adminId,
+      target_user_id: userId,
+      action_type: 'balance_adjustment',
+      operation: operation,
+      amount: Money.toDecimal128(adjustmentAmount),
+      balance_before: Money.toDecimal128(currentBalance),
+      balance_after: Money.toDecimal128(newBalance),
+      reason: reason || 'No reason provided',
+      created_at: new Date()
+    }, { session });
+
+    return { currentBalance, newBalance };
+  });
+
+  if (adjustment) {
+    console.log(`[INFO] Admin ${adminId} adjusted balance for user ${userId}: ${SubscriptionService.formatVV(adjustment.currentBalance)} -> ${SubscriptionService.formatVV(adjustment.newBalance)} VV (${operation}: ${SubscriptionService.formatVV(adjustmentAmount)})`);
+  }
+  return adjustment;
+};
+
 // POST /admin/users/:userId/balance - Admin endpoint to adjust user balance
 router.post('/admin/users/:userId/balance', requireAuth, async (req, res) => {
   // Simple admin check
@@ -303,75 +819,292 @@ router.post('/admin/users/:userId/balance', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Amount and operation are required' });
     }
 
-    const adjustmentAmount = parseFloat(amount);
-    if (isNaN(adjustmentAmount)) {
+    const adjustmentAmount = Money.parse(amount);
+    if (adjustmentAmount === null || adjustmentAmount < 0) {
       return res.status(400).json({ error: 'Invalid amount format' });
     }
 
-    const db = getDB();
-    const user = await db.collection('users').findOne({ _id: userId });
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!['set', 'add', 'subtract'].includes(operation)) {
+      return res.status(400).json({ error: 'Invalid operation. Use: set, add, or subtract' });
     }
 
-    const currentBalance = parseFloat(user.vv_balance || 0);
-    let newBalance;
-
-    switch (operation) {
-      case 'set':
-        newBalance = adjustmentAmount;
-        break;
-      case 'add':
-        newBalance = currentBalance + adjustmentAmount;
-        break;
-      case 'subtract':
-        newBalance = Math.max(0, currentBalance - adjustmentAmount);
-        break;
-      default:
-        return res.status(400).json({ error: 'Invalid operation. Use: set, add, or subtract' });
-    }
-
-    // Update user balance
-    await db.collection('users').updateOne(
-      { _id: userId },
-      { 
-        $set: { 
-          vv_balance: newBalance, 
-          updated_at: new Date() 
-        } 
-      }
-    );
+    const adminId = req.user._id || req.user.id;
 
-    // Log the admin action
-    await db.collection('admin_actions').insertOne({
-      admin_user_id: req.user._id || req.user.id,
-      target_user_id: userId,
-      action_type: 'balance_adjustment',
-      operation: operation,
-      amount: adjustmentAmount,
-      balance_before: currentBalance,
-      balance_after: newBalance,
-      reason: reason || 'No reason provided',
-      created_at: new Date()
+    // Screen the change the adjustment would make to the current balance
+    const target = await getDB().collection('users').findOne({ _id: userId }, { projection: { vv_balance: 1 } });
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await FraudService.screen('balance_adjustment', {
+      userId,
+      actorId: adminId,
+      amount: balanceAfterAdjustment(Money.fromDb(target.vv_balance), operation, adjustmentAmount) - Money.fromDb(target.vv_balance),
+      accountCreatedAt: SubscriptionService.getDiscordAccountCreatedAt(userId),
+      payload: { operation, amount: Money.toString(adjustmentAmount), reason: reason || null }
     });
 
-    console.log(`[INFO] Admin ${req.user._id} adjusted balance for user ${userId}: ${SubscriptionService.formatVV(currentBalance)} -> ${SubscriptionService.formatVV(newBalance)} VV (${operation}: ${SubscriptionService.formatVV(adjustmentAmount)})`);
+    const adjustment = await adjustBalance(userId, { operation, adjustmentAmount, reason, adminId });
+    if (!adjustment) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { currentBalance, newBalance } = adjustment;
 
     res.json({
       success: true,
       message: `Balance ${operation} completed successfully`,
-      balance_before: currentBalance,
-      balance_after: newBalance,
+      balance_before: Money.toNumber(currentBalance),
+      balance_after: Money.toNumber(newBalance),
       formatted_balance_before: SubscriptionService.formatVV(currentBalance),
       formatted_balance_after: SubscriptionService.formatVV(newBalance),
-      adjustment_amount: adjustmentAmount,
+      adjustment_amount: Money.toNumber(adjustmentAmount),
       formatted_adjustment: SubscriptionService.formatVV(adjustmentAmount)
     });
   } catch (error) {
     console.error('[ERROR] Admin balance adjustment failed:', error);
+
+    if (error.fraudEvent) {
+      return res.status(403).json({
+        error: error.message,
+        held: error.fraudEvent.status === 'held',
+        fraud_event_id: error.fraudEvent._id
+      });
+    }
     res.status(500).json({ error: 'Failed to adjust user balance' });
   }
 });
 
+// GET /admin/users/:userId/ledger - Admin endpoint to view a user's ledger entries
+router.get('/admin/users/:userId/ledger', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const [entries, ledgerBalance, user] = await Promise.all([
+      LedgerService.getUserEntries(userId, limit),
+      LedgerService.getAccountBalance(LedgerService.userAccount(userId)),
+      getDB().collection('users').findOne({ _id: userId }, { projection: { vv_balance: 1 } })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const storedBalance = Money.fromDb(user.vv_balance);
+
+    res.json({
+      user_id: userId,
+      stored_balance: Money.toNumber(storedBalance),
+      ledger_balance: Money.toNumber(ledgerBalance),
+      formatted_stored_balance: SubscriptionService.formatVV(storedBalance),
+      formatted_ledger_balance: SubscriptionService.formatVV(ledgerBalance),
+      in_sync: storedBalance === ledgerBalance,
+      entries
+    });
+  } catch (error) {
+    console.error('[ERROR] Admin ledger endpoint failed:', error);
+    res.status(500).json({ error: 'Failed to load ledger entries' });
+  }
+});
+
+// GET /admin/ledger/reconciliation - Admin endpoint to view recent reconciliation runs
+router.get('/admin/ledger/reconciliation', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const runs = await LedgerReconciler.getRecentRuns(parseInt(req.query.limit) || 10);
+    res.json({ runs });
+  } catch (error) {
+    console.error('[ERROR] Admin reconciliation endpoint failed:', error);
+    res.status(500).json({ error: 'Failed to load reconciliation runs' });
+  }
+});
+
+// POST /admin/ledger/reconcile - Admin endpoint to run a reconciliation immediately
+router.post('/admin/ledger/reconcile', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const run = await LedgerReconciler.runReconciliation(`admin:${req.user._id || req.user.id}`);
+    res.json({
+      success: true,
+      run_id: run._id,
+      status: run.status,
+      users_checked: run.users_checked,
+      drift_count: run.drift_count,
+      unbalanced_journal_count: run.unbalanced_journal_count
+    });
+  } catch (error) {
+    console.error('[ERROR] Manual reconciliation failed:', error);
+    res.status(500).json({ error: 'Failed to run reconciliation' });
+  }
+});
+
+// POST /admin/promo-codes - Admin endpoint to create a promo code
+router.post('/admin/promo-codes', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const promo = await PromoCodeService.createPromoCode(req.body, req.user._id || req.user.id);
+
+    console.log(`[INFO] Admin ${req.user._id || req.user.id} created promo code ${promo.code} (${PromoCodeService.formatBenefit(promo.benefit)})`);
+
+    res.json({
+      success: true,
+      promo_code_id: promo._id,
+      code: promo.code,
+      formatted_benefit: PromoCodeService.formatBenefit(promo.benefit)
+    });
+  } catch (error) {
+    console.error('[ERROR] Promo code creation failed:', error);
+
+    const isValidationError = error.message.startsWith('Promo') || error.message.includes(' must ');
+    res.status(isValidationError ? 400 : 500).json({
+      error: isValidationError ? error.message : 'Failed to create promo code'
+    });
+  }
+});
+
+// GET /admin/promo-codes - Admin endpoint to list promo codes
+router.get('/admin/promo-codes', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const promoCodes = await PromoCodeService.listPromoCodes();
+    res.json({ promo_codes: promoCodes });
+  } catch (error) {
+    console.error('[ERROR] Failed to list promo codes:', error);
+    res.status(500).json({ error: 'Failed to load promo codes' });
+  }
+});
+
+// GET /admin/promo-codes/:code/usage - Admin endpoint for promo code usage stats
+router.get('/admin/promo-codes/:code/usage', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const usage = await PromoCodeService.getUsageStats(req.params.code);
+    res.json(usage);
+  } catch (error) {
+    if (error.message.includes('Promo code not found')) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+    console.error('[ERROR] Failed to load promo code usage:', error);
+    res.status(500).json({ error: 'Failed to load promo code usage' });
+  }
+});
+
+// GET /admin/fraud/events - Fraud rule hits (?status=blocked|held|alerted&review=open&user=<id>)
+router.get('/admin/fraud/events', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const events = await FraudService.listEvents({
+      status: req.query.status || null,
+      reviewStatus: req.query.review || null,
+      userId: req.query.user || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    res.json({
+      events: events.map(({ amount_vv, ...event }) => ({
+        ...event,
+        amount: Money.toNumber(Money.fromDb(amount_vv)),
+        formatted_amount: Money.format(Money.fromDb(amount_vv))
+      }))
+    });
+  } catch (error) {
+    console.error('[ERROR] Admin fraud events endpoint failed:', error);
+    res.status(500).json({ error: 'Failed to load fraud events' });
+  }
+});
+
+// POST /admin/fraud/events/:eventId/review - Approve or reject a held request,
+// or acknowledge an alert or block. Approving re-runs the held request.
+router.post('/admin/fraud/events/:eventId/review', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const { eventId } = req.params;
+    if (!ObjectId.isValid(eventId)) {
+      return res.status(400).json({ error: 'Invalid fraud event ID' });
+    }
+
+    const adminId = req.user._id || req.user.id;
+    const fraudEvent = await FraudService.claimReview(new ObjectId(eventId), {
+      adminId,
+      decision: req.body.decision,
+      note: req.body.note || null
+    });
+
+    if (fraudEvent.review_status !== 'approved') {
+      return res.json({ success: true, review_status: fraudEvent.review_status });
+    }
+
+    const { payload } = fraudEvent;
+    try {
+      if (fraudEvent.event === 'purchase') {
+        const result = await SubscriptionService.purchaseSubscription(fraudEvent.user_id, payload.plan_id, payload.idempotency_key, {
+          promoCode: payload.promo_code,
+          recipientId: payload.recipient_id,
+          product: payload.product || null,
+          fraudReviewed: true
+        });
+        return res.json({ success: true, review_status: 'approved', transaction_id: result.transaction._id });
+      }
+
+      const adjustment = await adjustBalance(fraudEvent.user_id, {
+        operation: payload.operation,
+        adjustmentAmount: Money.toMicro(payload.amount),
+        reason: payload.reason,
+        adminId: fraudEvent.actor_id
+      });
+      if (!adjustment) {
+        throw new Error('User not found');
+      }
+      res.json({
+        success: true,
+        review_status: 'approved',
+        balance_before: Money.toNumber(adjustment.currentBalance),
+        balance_after: Money.toNumber(adjustment.newBalance)
+      });
+    } catch (approvalError) {
+      await FraudService.reopenReview(fraudEvent._id, approvalError.message);
+      throw approvalError;
+    }
+  } catch (error) {
+    console.error('[ERROR] Fraud review failed:', error);
+
+    if (error.message === 'Fraud event not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
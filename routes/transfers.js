@@ -0,0 +1,142 @@
+// routes/transfers.js - Member VV transfers and admin transfer management
+const router = require('express').Router();
+const TransferService = require('../services/transferService');
+const Money = require('../utils/money');
+const { ObjectId } = require('mongodb');
+
+// Middleware to ensure user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.redirect('/');
+  }
+  next();
+};
+
+// POST /profile/transfers - Send VV to another member. An Idempotency-Key header
+// is required; retrying with the same key returns the original transfer.
+router.post('/profile/transfers', requireAuth, async (req, res) => {
+  try {
+    const { recipient, amount, note } = req.body;
+    if (!recipient || !amount) {
+      return res.status(400).json({ error: 'Recipient and amount are required' });
+    }
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (typeof idempotencyKey !== 'string' || !/^[\w:.-]{8,128}$/.test(idempotencyKey)) {
+      return res.status(400).json({ error: 'An Idempotency-Key header of 8-128 characters is required' });
+    }
+
+    const userId = req.user._id || req.user.id;
+    const { transfer, balances, replayed } = await TransferService.sendTransfer(userId, recipient, amount, {
+      note,
+      idempotencyKey
+    });
+
+    res.json({
+      success: true,
+      replayed: Boolean(replayed),
+      transfer_id: transfer._id,
+      recipient_username: transfer.recipient_username,
+      amount: Money.toNumber(Money.fromDb(transfer.amount_vv)),
+      formatted_amount: Money.format(Money.fromDb(transfer.amount_vv)),
+      balance_after: Money.toNumber(balances[userId].after),
+      formatted_balance_after: Money.format(balances[userId].after)
+    });
+  } catch (error) {
+    console.error('[ERROR] Transfer failed:', error);
+
+    if (error.message.startsWith('Transfer') || error.message.includes('Insufficient VV balance')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Transfer failed' });
+  }
+});
+
+// GET /profile/transfers - Own sent and received transfers
+router.get('/profile/transfers', requireAuth, async (req, res) => {
+  try {
+    const transfers = await TransferService.getUserTransfers(req.user._id || req.user.id);
+    res.json({ transfers, limits: TransferService.getLimits() });
+  } catch (error) {
+    console.error('[ERROR] Failed to load transfers:', error);
+    res.status(500).json({ error: 'Failed to load transfers' });
+  }
+});
+
+// GET /admin/transfers - Admin list of transfers (?user=<id>&status=completed|reversed)
+router.get('/admin/transfers', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const transfers = await TransferService.listTransfers({
+      userId: req.query.user || null,
+      status: req.query.status || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+    res.json({ transfers, limits: TransferService.getLimits() });
+  } catch (error) {
+    console.error('[ERROR] Admin transfers endpoint failed:', error);
+    res.status(500).json({ error: 'Failed to load transfers' });
+  }
+});
+
+// POST /admin/transfers/:transferId/reverse - Admin endpoint to reverse a transfer
+router.post('/admin/transfers/:transferId/reverse', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const { transferId } = req.params;
+    if (!ObjectId.isValid(transferId)) {
+      return res.status(400).json({ error: 'Invalid transfer ID' });
+    }
+
+    const { transfer } = await TransferService.reverseTransfer(new ObjectId(transferId), {
+      adminId: req.user._id || req.user.id,
+      reason: req.body.reason || 'No reason provided',
+      force: req.body.force === true
+    });
+
+    res.json({
+      success: true,
+      message: 'Transfer reversed',
+      transfer: TransferService.formatTransfer(transfer)
+    });
+  } catch (error) {
+    console.error('[ERROR] Transfer reversal failed:', error);
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// POST /admin/users/:userId/transfer-block - Admin endpoint to block or unblock a user's transfers
+router.post('/admin/users/:userId/transfer-block', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const { blocked, reason } = req.body;
+    if (typeof blocked !== 'boolean') {
+      return res.status(400).json({ error: 'blocked must be true or false' });
+    }
+
+    await TransferService.setTransfersBlocked(req.params.userId, blocked, {
+      adminId: req.user._id || req.user.id,
+      reason: reason || null
+    });
+
+    res.json({ success: true, transfers_blocked: blocked });
+  } catch (error) {
+    console.error('[ERROR] Transfer block update failed:', error);
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,120 @@
+// routes/vouchers.js - Voucher redemption and admin voucher batches
+const router = require('express').Router();
+const VoucherService = require('../services/voucherService');
+const Money = require('../utils/money');
+const { ObjectId } = require('mongodb');
+
+// Middleware to ensure user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.redirect('/');
+  }
+  next();
+};
+
+// POST /profile/vouchers/redeem - Redeem a voucher code into the VV balance
+router.post('/profile/vouchers/redeem', requireAuth, async (req, res) => {
+  try {
+    const result = await VoucherService.redeem(req.body.code, req.user._id || req.user.id);
+
+    res.json({
+      success: true,
+      message: `Voucher redeemed! ${Money.format(result.amount)} VV has been added to your balance.`,
+      amount: Money.toNumber(result.amount),
+      formatted_amount: Money.format(result.amount),
+      balance_after: Money.toNumber(result.balanceAfter),
+      formatted_balance_after: Money.format(result.balanceAfter)
+    });
+  } catch (error) {
+    console.error('[ERROR] Voucher redemption failed:', error);
+
+    if (error.message.startsWith('Voucher code')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to redeem voucher' });
+  }
+});
+
+// POST /admin/vouchers - Admin endpoint to generate a batch of voucher codes
+router.post('/admin/vouchers', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const { batch, vouchers } = await VoucherService.createBatch(req.body, req.user._id || req.user.id);
+
+    res.json({
+      success: true,
+      batch_id: batch._id,
+      amount: Money.toNumber(Money.fromDb(batch.amount_vv)),
+      max_uses: batch.max_uses,
+      expires_at: batch.expires_at,
+      codes: vouchers.map(voucher => voucher.code),
+      export_url: `/admin/vouchers/batches/${batch._id}/export`
+    });
+  } catch (error) {
+    console.error('[ERROR] Voucher batch creation failed:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /admin/vouchers/batches - Admin list of voucher batches with usage
+router.get('/admin/vouchers/batches', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const batches = await VoucherService.listBatches();
+    res.json({ batches });
+  } catch (error) {
+    console.error('[ERROR] Failed to list voucher batches:', error);
+    res.status(500).json({ error: 'Failed to load voucher batches' });
+  }
+});
+
+// GET /admin/vouchers/batches/:batchId/export - Download a batch as CSV
+router.get('/admin/vouchers/batches/:batchId/export', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    const { batchId } = req.params;
+    if (!ObjectId.isValid(batchId)) {
+      return res.status(400).json({ error: 'Invalid batch ID' });
+    }
+
+    const csv = await VoucherService.exportBatchCsv(new ObjectId(batchId));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="vouchers-${batchId}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('[ERROR] Voucher export failed:', error);
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// POST /admin/vouchers/:code/deactivate - Stop a voucher code from being redeemed
+router.post('/admin/vouchers/:code/deactivate', requireAuth, async (req, res) => {
+  // Simple admin check
+  if (!process.env.ADMIN_USER_IDS || !process.env.ADMIN_USER_IDS.split(',').includes(req.user._id || req.user.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    await VoucherService.deactivate(req.params.code);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] Voucher deactivation failed:', error);
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
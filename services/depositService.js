@@ -0,0 +1,205 @@
+// services/depositService.js - VV top-ups through payment providers
+// A member opens a deposit intent, pays at the provider, and the provider's
+// signed webhook credits the balance. Each webhook event is recorded in
+// payment_events and the intent only leaves `pending` once, both inside the
+// crediting transaction, so retried or duplicated webhooks never credit twice.
+const { ObjectId } = require('mongodb');
+const { getDB, withTransaction } = require('../config/mongodb');
+const LedgerService = require('./ledgerService');
+const SubscriptionService = require('./subscriptionService');
+const PaymentProviders = require('./paymentProviders');
+const Money = require('../utils/money');
+
+const MIN_DEPOSIT = Money.parse(process.env.DEPOSIT_MIN_VV) ?? Money.toMicro('0.1');
+const MAX_DEPOSIT = Money.parse(process.env.DEPOSIT_MAX_VV) ?? Money.toMicro('1000');
+
+class DepositService {
+  static async createIntent(userId, amountInput, providerId) {
+    const amount = Money.parse(amountInput);
+    if (amount === null || amount < MIN_DEPOSIT || amount > MAX_DEPOSIT) {
+      throw new Error(`Deposit amount must be between ${Money.format(MIN_DEPOSIT)} and ${Money.format(MAX_DEPOSIT)} VV`);
+    }
+
+    const provider = PaymentProviders.getProvider(providerId);
+    const db = getDB();
+    const now = new Date();
+
+    const intent = {
+      _id: new ObjectId(),
+      user_id: userId,
+      provider: provider.id,
+      amount_vv: Money.toDecimal128(amount),
+      status: 'pending',
+      created_at: now,
+      updated_at: now
+    };
+
+    const payment = await provider.createPayment(intent);
+    intent.provider_reference = payment.reference;
+    intent.checkout_url = payment.checkoutUrl || null;
+    intent.instructions = payment.instructions || null;
+
+    await db.collection('deposit_intents').insertOne(intent);
+    console.log(`[INFO] Deposit intent ${intent._id} created for user ${userId}: ${Money.format(amount)} VV via ${provider.id}`);
+
+    return intent;
+  }
+
+  // Verify, record and apply one provider webhook. Returns { duplicate, intent }.
+  static async handleWebhook(providerId, rawBody, headers) {
+    const provider = PaymentProviders.getProvider(providerId);
+    if (!provider.verifyWebhook(rawBody, headers)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    let event;
+    try {
+      event = provider.parseWebhookEvent(rawBody, headers);
+    } catch (error) {
+      throw new Error(`Invalid webhook payload: ${error.message}`);
+    }
+    if (!event.eventId || !event.intentId || !ObjectId.isValid(event.intentId)) {
+      throw new Error('Invalid webhook payload: missing event or intent ID');
+    }
+
+    const result = await withTransaction(async (session) => {
+      const db = getDB();
+      const now = new Date();
+
+      try {
+        await db.collection('payment_events').insertOne({
+          _id: `${provider.id}:${event.eventId}`,
+          provider: provider.id,
+          event_id: event.eventId,
+          intent_id: new ObjectId(event.intentId),
+          status: event.status,
+          amount_vv: event.amount !== null ? Money.toDecimal128(event.amount) : null,
+          received_at: now
+        }, { session });
+      } catch (error) {
+        if (error.code === 11000) {
+          return { duplicate: true, intent: null };
+        }
+        throw error;
+      }
+
+      const intent = await db.collection('deposit_intents').findOne(
+        { _id: new ObjectId(event.intentId), provider: provider.id },
+        { session }
+      );
+      if (!intent) {
+        throw new Error('Deposit intent not found');
+      }
+      if (intent.provider_reference !== event.reference) {
+        throw new Error('Webhook reference does not match deposit intent');
+      }
+      if (intent.status !== 'pending') {
+        // A different event for an intent that is already settled
+        return { duplicate: true, intent };
+      }
+
+      if (event.status !== 'succeeded') {
+        await db.collection('deposit_intents').updateOne(
+          { _id: intent._id, status: 'pending' },
+          { $set: { status: 'failed', failed_at: now, updated_at: now, last_event_id: event.eventId } },
+          { session }
+        );
+        return { duplicate: false, intent: { ...intent, status: 'failed' } };
+      }
+
+      const amount = Money.fromDb(intent.amount_vv);
+      if (event.amount !== amount) {
+        throw new Error('Webhook amount does not match deposit intent');
+      }
+
+      const settled = await db.collection('deposit_intents').updateOne(
+        { _id: intent._id, status: 'pending' },
+        { $set: { status: 'completed', completed_at: now, updated_at: now, last_event_id: event.eventId } },
+        { session }
+      );
+      if (settled.modifiedCount === 0) {
+        return { duplicate: true, intent };
+      }
+
+      const { balances } = await LedgerService.credit(intent.user_id, amount, {
+        from: LedgerService.SYSTEM_ACCOUNTS.DEPOSITS,
+        type: 'deposit',
+        reference: { collection: 'deposit_intents', id: intent._id },
+        metadata: { provider: provider.id, provider_reference: intent.provider_reference, event_id: event.eventId },
+        session
+      });
+
+      return {
+        duplicate: false,
+        intent: { ...intent, status: 'completed', completed_at: now },
+        balanceAfter: balances[intent.user_id].after
+      };
+    });
+
+    if (result.duplicate) {
+      console.log(`[INFO] Ignoring already processed ${provider.id} webhook event ${event.eventId}`);
+      return result;
+    }
+
+    console.log(`[INFO] Deposit ${result.intent._id} ${result.intent.status} via ${provider.id} (event ${event.eventId})`);
+
+    if (result.intent.status === 'completed') {
+      setImmediate(async () => {
+        try {
+          await this.sendDepositChannelMessage(result.intent, result.balanceAfter);
+        } catch (error) {
+          console.error(`[ERROR] Failed to post deposit ${result.intent._id}:`, error.message);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  static async getUserDeposits(userId, limit = 20) {
+    const deposits = await getDB().collection('deposit_intents')
+      .find({ user_id: userId })
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray();
+
+    return deposits.map(deposit => {
+      const amount = Money.fromDb(deposit.amount_vv);
+      return {
+        ...deposit,
+        amount_vv: Money.toNumber(amount),
+        formatted_amount: Money.format(amount),
+        created_at_ist: SubscriptionService.formatIST(deposit.created_at)
+      };
+    });
+  }
+
+  static async sendDepositChannelMessage(intent, balanceAfter) {
+    const channelId = process.env.DISCORD_TRANSACTION_CHANNEL_ID;
+    if (!channelId) {
+      console.warn('[WARN] Deposit notification skipped - DISCORD_TRANSACTION_CHANNEL_ID not set');
+      return;
+    }
+
+    const amount = Money.fromDb(intent.amount_vv);
+    const embed = {
+      title: '💳 VV Deposit Completed',
+      color: 0x28a745,
+      fields: [
+        { name: '👤 User', value: `<@${intent.user_id}>`, inline: true },
+        { name: '💎 Amount', value: `${Money.format(amount)} VV`, inline: true },
+        { name: '🏦 Provider', value: intent.provider, inline: true },
+        { name: '💰 Balance After', value: `${Money.format(balanceAfter)} VV`, inline: true }
+      ],
+      footer: { text: `Deposit ${intent._id.toString().substr(-8)}` },
+      timestamp: new Date().toISOString()
+    };
+
+    await SubscriptionService.sendChannelMessage(channelId, { embeds: [embed] });
+  }
+}
+
+DepositService.MIN_DEPOSIT = MIN_DEPOSIT;
+DepositService.MAX_DEPOSIT = MAX_DEPOSIT;
+
+module.exports = DepositService;
\ No newline at end of file
@@ -10,6 +10,7 @@ class DiscordStatusManager {
     this.lastSequence = null;
     this.sessionId = null;
     this.lastCount = null;
+    this.lastGraceCount = null;
     this.isUpdating = false;
     this.isConnected = false;
     this.reconnectAttempts = 0;
@@ -194,22 +195,28 @@ class DiscordStatusManager {
 
     try {
       const activeCount = await this.getActiveSubscriptionCount();
+      const graceCount = await this.getGraceSubscriptionCount();
       
       if (activeCount === null) {
         console.error('[ERROR] Could not retrieve subscription count for status update');
         return;
       }
 
-      // Force update or only update if count changed
+      // Force update or only update if a count changed
       const forceUpdate = this.lastCount === null;
-      if (!forceUpdate && this.lastCount === activeCount) {
-        console.log(`[DEBUG] Bot status unchanged: ${activeCount} active subscriptions`);
+      if (!forceUpdate && this.lastCount === activeCount && this.lastGraceCount === graceCount) {
+        console.log(`[DEBUG] Bot status unchanged: ${activeCount} active subscribers`);
         return;
       }
 
       const statusText = activeCount === 1 
-        ? `1 Active Subscription` 
-        : `${activeCount} Active Subscriptions`;
+        ? `1 Active Subscriber` 
+        : `${activeCount} Active Subscribers`;
+
+      let stateText = activeCount > 0 ? 'Managing subscriptions' : 'Ready for subscriptions';
+      if (graceCount > 0) {
+        stateText = `${graceCount} in grace period`;
+      }
 
       // Send presence update
       this.ws.send(JSON.stringify({
@@ -219,7 +226,7 @@ class DiscordStatusManager {
           activities: [{
             name: statusText,
             type: 3, // Watching activity type
-            state: activeCount > 0 ? 'Managing subscriptions' : 'Ready for subscriptions'
+            state: stateText
           }],
           status: 'dnd', // Do Not Disturb status
           afk: false
@@ -230,7 +237,8 @@ class DiscordStatusManager {
       await this.updateNickname(activeCount);
 
       this.lastCount = activeCount;
-      console.log(`[INFO] Discord bot status updated: ${statusText}`);
+      this.lastGraceCount = graceCount;
+      console.log(`[INFO] Discord bot status updated: ${statusText} (${graceCount || 0} in grace)`);
 
     } catch (error) {
       console.error('[ERROR] Failed to update bot status:', error);
@@ -260,24 +268,39 @@ class DiscordStatusManager {
     }
   }
 
-  // Get current active subscription count
+  // Get current active subscriber count (members holding several tiers count once)
   async getActiveSubscriptionCount() {
     try {
       const db = getDB();
       const now = new Date();
       
-      const count = await db.collection('subscriptions').countDocuments({
+      const subscribers = await db.collection('subscriptions').distinct('user_id', {
         status: 'active',
         expires_at: { $gt: now }
       });
 
-      return count;
+      return subscribers.length;
     } catch (error) {
       console.error('[ERROR] Failed to get active subscription count:', error);
       return null;
     }
   }
 
+  // Members whose subscriptions have lapsed but still hold their role
+  async getGraceSubscriptionCount() {
+    try {
+      const db = getDB();
+      const members = await db.collection('subscriptions').distinct('user_id', {
+        status: 'grace'
+      });
+
+      return members.length;
+    } catch (error) {
+      console.error('[ERROR] Failed to get grace subscription count:', error);
+      return null;
+    }
+  }
+
   // Force status update (called after purchases/expiries)
   async forceStatusUpdate() {
     console.log('[INFO] Force updating Discord bot status...');
@@ -358,11 +381,20 @@ class DiscordStatusManager {
   async healthCheck() {
     try {
       const count = await this.getActiveSubscriptionCount();
+      const graceCount = await this.getGraceSubscriptionCount();
       const canUpdateStatus = !!process.env.DISCORD_BOT_TOKEN;
+      // Members can hold one subscription per tier, so subscriptions and
+      // subscribers differ; active_subscriptions is kept for existing monitors
+      const subscriptionCount = await getDB().collection('subscriptions').countDocuments({
+        status: 'active',
+        expires_at: { $gt: new Date() }
+      });
       
       return {
         status: this.isConnected ? 'healthy' : 'disconnected',
-        active_subscriptions: count,
+        active_subscriptions: subscriptionCount,
+        active_subscribers: count,
+        grace_subscribers: graceCount,
         can_update_status: canUpdateStatus,
         last_displayed_count: this.lastCount,
         is_updating: this.isUpdating,
@@ -1,6 +1,7 @@
 // services/expiryManager.js (Updated with Discord status integration)
 const { getDB } = require('../config/mongodb');
 const SubscriptionService = require('./subscriptionService');
+const Money = require('../utils/money');
 
 // Import Discord status manager
 let discordStatusManager;
@@ -12,6 +13,15 @@ try {
 
 const cron = require('node-cron');
 
+// Auto-renewals are attempted this long before expiry (wider than the 6-hour cron interval)
+const AUTO_RENEW_WINDOW_HOURS = Number(process.env.AUTO_RENEW_WINDOW_HOURS) || 12;
+// Members whose balance can't cover the renewal are warned this long before expiry
+const AUTO_RENEW_WARNING_HOURS = Number(process.env.AUTO_RENEW_WARNING_HOURS) || 72;
+// Expired subscriptions keep their role this long before removal (0 disables grace)
+const GRACE_PERIOD_HOURS = Number.isFinite(Number(process.env.SUBSCRIPTION_GRACE_HOURS))
+  ? Number(process.env.SUBSCRIPTION_GRACE_HOURS)
+  : 72;
+
 class ExpiryManager {
   static init() {
     // Run expiry checks every 6 hours
@@ -31,6 +41,9 @@ class ExpiryManager {
     console.log('[INFO] Running subscription expiry check...');
     
     try {
+      await this.resumeOverduePauses();
+      await this.sendLowBalanceWarnings();
+      await this.processAutoRenewals();
       await this.sendExpiryWarnings();
       const expiredCount = await this.handleExpiredSubscriptions();
       
@@ -46,6 +59,153 @@ class ExpiryManager {
     }
   }
 
+  // Paused subscriptions are skipped by every expiry scan; the only thing that
+  // happens to them here is an automatic resume once the plan's max pause length is up
+  static async resumeOverduePauses() {
+    const db = getDB();
+    const now = new Date();
+
+    try {
+      const overdue = await db.collection('subscriptions').find({
+        status: 'paused',
+        pause_resume_by: { $lte: now }
+      }).toArray();
+
+      let resumedCount = 0;
+      for (const subscription of overdue) {
+        try {
+          await SubscriptionService.resumeSubscription(subscription._id, { initiatedBy: 'system', automatic: true });
+          resumedCount++;
+        } catch (error) {
+          console.error(`[ERROR] Failed to auto-resume subscription ${subscription._id}:`, error.message);
+        }
+      }
+
+      if (overdue.length > 0) {
+        console.log(`[INFO] Auto-resumed ${resumedCount}/${overdue.length} paused subscriptions`);
+      }
+      return resumedCount;
+    } catch (error) {
+      console.error('[ERROR] Failed to resume overdue pauses:', error);
+      return 0;
+    }
+  }
+
+  // Renew opted-in subscriptions from VV balance shortly before they expire.
+  // Failures leave the subscription on the normal warning/expiry path.
+  static async processAutoRenewals() {
+    const db = getDB();
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + AUTO_RENEW_WINDOW_HOURS * 60 * 60 * 1000);
+
+    try {
+      const dueSubscriptions = await db.collection('subscriptions').find({
+        status: 'active',
+        auto_renew: true,
+        expires_at: { $gt: now, $lte: windowEnd },
+        auto_renew_failed_at: { $exists: false }
+      }).toArray();
+
+      console.log(`[INFO] Found ${dueSubscriptions.length} subscriptions due for auto-renewal`);
+
+      let renewedCount = 0;
+      for (const subscription of dueSubscriptions) {
+        const idempotencyKey = SubscriptionService.getAutoRenewIdempotencyKey(subscription);
+
+        try {
+          const result = await SubscriptionService.purchaseSubscription(subscription.user_id, subscription.plan_id, idempotencyKey, { autoRenewal: true });
+          if (result.replayed) {
+            // This cycle was already renewed by an earlier run
+            continue;
+          }
+          renewedCount++;
+          console.log(`[INFO] Auto-renewed subscription ${subscription._id} for user ${subscription.user_id}`);
+        } catch (error) {
+          if (error.message.includes('already processed') || error.code === 11000) {
+            // This cycle was already renewed by an earlier run
+            continue;
+          }
+
+          console.warn(`[WARN] Auto-renewal failed for subscription ${subscription._id}: ${error.message}`);
+          await db.collection('subscriptions').updateOne(
+            { _id: subscription._id, expires_at: subscription.expires_at },
+            {
+              $set: {
+                auto_renew_failed_at: new Date(),
+                auto_renew_last_error: error.message,
+                updated_at: new Date()
+              }
+            }
+          );
+        }
+
+        // Add small delay between renewals to avoid rate limits
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+
+      if (renewedCount > 0) {
+        console.log(`[INFO] Successfully auto-renewed ${renewedCount} subscriptions`);
+      }
+
+      return renewedCount;
+    } catch (error) {
+      console.error('[ERROR] Failed to process auto-renewals:', error);
+      return 0;
+    }
+  }
+
+  // Warn once per cycle when an auto-renewing member can't afford the renewal
+  static async sendLowBalanceWarnings() {
+    const db = getDB();
+    const now = new Date();
+    const warningEnd = new Date(now.getTime() + AUTO_RENEW_WARNING_HOURS * 60 * 60 * 1000);
+
+    try {
+      const upcoming = await db.collection('subscriptions').find({
+        status: 'active',
+        auto_renew: true,
+        expires_at: { $gt: now, $lte: warningEnd }
+      }).toArray();
+
+      const plans = await SubscriptionService.getPlans({ includeArchived: true });
+      let warningsSent = 0;
+
+      for (const subscription of upcoming) {
+        // Already warned for this cycle
+        if (subscription.low_balance_warning_for && subscription.low_balance_warning_for.getTime() === subscription.expires_at.getTime()) {
+          continue;
+        }
+
+        const plan = plans.find(p => p.id === subscription.plan_id);
+        if (!plan) continue;
+
+        const user = await db.collection('users').findOne({ _id: subscription.user_id }, { projection: { vv_balance: 1 } });
+        const balance = Money.fromDb(user?.vv_balance);
+        const price = SubscriptionService.calculateFinalPrice(plan);
+        if (balance >= price) continue;
+
+        await SubscriptionService.sendLowBalanceWarningChannelMessage(subscription, balance, price);
+        await db.collection('subscriptions').updateOne(
+          { _id: subscription._id },
+          { $set: { low_balance_warning_for: subscription.expires_at, updated_at: new Date() } }
+        );
+        warningsSent++;
+
+        // Add small delay between messages to avoid rate limits
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+
+      if (warningsSent > 0) {
+        console.log(`[INFO] Sent ${warningsSent} auto-renew low balance warnings`);
+      }
+
+      return warningsSent;
+    } catch (error) {
+      console.error('[ERROR] Failed to send low balance warnings:', error);
+      return 0;
+    }
+  }
+
   static async sendExpiryWarnings() {
     const db = getDB();
     const tomorrow = new Date();
@@ -63,7 +223,12 @@ class ExpiryManager {
           $gte: todayStart,
           $lte: tomorrow
         },
-        warning_sent: { $ne: true }
+        warning_sent: { $ne: true },
+        // Auto-renewing subscriptions are only warned once their renewal has failed
+        $or: [
+          { auto_renew: { $ne: true } },
+          { auto_renew_failed_at: { $exists: true } }
+        ]
       }).toArray();
 
       console.log(`[INFO] Found ${subscriptionsToWarn.length} subscriptions to warn about expiry`);
@@ -111,18 +276,15 @@ class ExpiryManager {
     const now = new Date();
 
     try {
-      // Find expired active subscriptions
-      const expiredSubscriptions = await db.collection('subscriptions').find({
-        status: 'active',
-        expires_at: { $lt: now }
-      }).toArray();
+      // Find expired active subscriptions and grace periods that have ended
+      const expiredSubscriptions = await db.collection('subscriptions').find(this.lapsedSubscriptionFilter(now)).toArray();
 
       console.log(`[INFO] Found ${expiredSubscriptions.length} expired subscriptions to process`);
 
       let processedCount = 0;
       for (const subscription of expiredSubscriptions) {
         try {
-          await this.processExpiredSubscription(subscription, db);
+          await this.processLapsedSubscription(subscription, db);
           processedCount++;
           
           // Add small delay between processing to avoid rate limits
@@ -143,35 +305,100 @@ class ExpiryManager {
     }
   }
 
+  static lapsedSubscriptionFilter(now) {
+    return {
+      $or: [
+        { status: 'active', expires_at: { $lt: now } },
+        { status: 'grace', grace_ends_at: { $lte: now } }
+      ]
+    };
+  }
+
+  // An active subscription past expires_at enters grace (keeping its role);
+  // one whose grace has ended, or with grace disabled, expires for good
+  static async processLapsedSubscription(subscription, db) {
+    const now = new Date();
+    const graceEndsAt = new Date(subscription.expires_at.getTime() + GRACE_PERIOD_HOURS * 60 * 60 * 1000);
+
+    if (subscription.status === 'active' && graceEndsAt > now) {
+      return this.startGracePeriod(subscription, graceEndsAt, db);
+    }
+    return this.processExpiredSubscription(subscription, db);
+  }
+
+  static async startGracePeriod(subscription, graceEndsAt, db) {
+    const now = new Date();
+
+    // Guard on expires_at so a renewal that just landed is not pushed into grace
+    const result = await db.collection('subscriptions').updateOne(
+      { _id: subscription._id, status: 'active', expires_at: subscription.expires_at },
+      {
+        $set: {
+          status: 'grace',
+          grace_started_at: now,
+          grace_ends_at: graceEndsAt,
+          updated_at: now
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      console.log(`[INFO] Subscription ${subscription._id} changed before grace could start, skipping`);
+      return;
+    }
+
+    console.log(`[INFO] Subscription ${subscription._id} for user ${subscription.user_id} entered grace until ${graceEndsAt.toISOString()}`);
+
+    try {
+      await SubscriptionService.sendGracePeriodChannelMessage({ ...subscription, status: 'grace', grace_ends_at: graceEndsAt });
+    } catch (messageError) {
+      console.error(`[ERROR] Failed to send grace notice for subscription ${subscription._id}:`, messageError);
+    }
+  }
+
   static async processExpiredSubscription(subscription, db) {
     const now = new Date();
     
     try {
       console.log(`[INFO] Processing expired subscription ${subscription._id} for user ${subscription.user_id}`);
-      
-      // Remove Discord role if configured
-      if (subscription.role_id && process.env.DISCORD_GUILD_ID && process.env.DISCORD_BOT_TOKEN) {
-        try {
-          await SubscriptionService.removeDiscordRole(subscription.user_id, subscription.role_id);
-          console.log(`[INFO] Removed Discord role ${subscription.role_id} from user ${subscription.user_id}`);
-        } catch (roleError) {
-          console.error(`[ERROR] Failed to remove Discord role for user ${subscription.user_id}:`, roleError);
-          // Continue processing even if role removal fails
-        }
-      }
+
+      // Guard on the lapsed state so a renewal that landed since the scan keeps
+      // the subscription and its role
+      const lapsed = subscription.status === 'grace'
+        ? { status: 'grace', grace_ends_at: { $lte: now } }
+        : { status: 'active', expires_at: subscription.expires_at };
 
       // Update subscription status to expired
-      await db.collection('subscriptions').updateOne(
-        { _id: subscription._id },
+      const result = await db.collection('subscriptions').updateOne(
+        { _id: subscription._id, ...lapsed },
         { 
           $set: {
             status: 'expired',
             expired_at: now,
             updated_at: now
+          },
+          $unset: {
+            grace_started_at: '',
+            grace_ends_at: ''
           }
         }
       );
 
+      if (result.modifiedCount !== 1) {
+        console.log(`[INFO] Subscription ${subscription._id} changed before it could expire, skipping`);
+        return;
+      }
+
+      // Remove Discord role if configured
+      if (subscription.role_id && process.env.DISCORD_GUILD_ID && process.env.DISCORD_BOT_TOKEN) {
+        try {
+          await SubscriptionService.releaseDiscordRole(subscription.user_id, subscription.role_id, subscription._id);
+        } catch (roleError) {
+          console.error(`[ERROR] Failed to remove Discord role for user ${subscription.user_id}:`, roleError);
+          // Continue processing even if role removal fails
+        }
+      }
+
       // Send expiry notification to Discord channel
       try {
         await SubscriptionService.sendExpiredChannelMessage(subscription);
@@ -196,11 +423,8 @@ class ExpiryManager {
       const now = new Date();
       let statusUpdateNeeded = false;
 
-      // Find subscriptions that expired while the system was offline
-      const staleSubscriptions = await db.collection('subscriptions').find({
-        status: 'active',
-        expires_at: { $lt: now }
-      }).toArray();
+      // Find subscriptions that expired (or finished grace) while the system was offline
+      const staleSubscriptions = await db.collection('subscriptions').find(this.lapsedSubscriptionFilter(now)).toArray();
 
       if (staleSubscriptions.length > 0) {
         console.log(`[INFO] Found ${staleSubscriptions.length} stale subscriptions from system downtime`);
@@ -209,7 +433,7 @@ class ExpiryManager {
         for (const subscription of staleSubscriptions) {
           try {
             // Process the expired subscription
-            await this.processExpiredSubscription(subscription, db);
+            await this.processLapsedSubscription(subscription, db);
             recoveryCount++;
             statusUpdateNeeded = true;
             console.log(`[INFO] Recovery: processed stale subscription ${subscription._id} for user ${subscription.user_id}`);
@@ -226,12 +450,22 @@ class ExpiryManager {
         console.log('[INFO] No stale subscriptions found during recovery');
       }
 
+      // Pauses that ran past their plan's limit while offline
+      if (await this.resumeOverduePauses() > 0) {
+        statusUpdateNeeded = true;
+      }
+
       // Also check for any subscriptions that should have warnings but don't
       const now24Hours = new Date(now.getTime() + (24 * 60 * 60 * 1000));
       const missedWarnings = await db.collection('subscriptions').find({
         status: 'active',
         expires_at: { $lt: now24Hours, $gt: now },
-        warning_sent: { $ne: true }
+        warning_sent: { $ne: true },
+        // Auto-renewing subscriptions are only warned once their renewal has failed
+        $or: [
+          { auto_renew: { $ne: true } },
+          { auto_renew_failed_at: { $exists: true } }
+        ]
       }).toArray();
 
       if (missedWarnings.length > 0) {
@@ -276,7 +510,7 @@ class ExpiryManager {
 
   static async getUserSubscriptionStatus(userId) {
     try {
-      return await SubscriptionService.getUserActiveSubscription(userId);
+      return await SubscriptionService.getUserActiveSubscriptions(userId);
     } catch (error) {
       console.error(`[ERROR] Failed to get subscription status for user ${userId}:`, error);
       return null;
@@ -297,7 +531,8 @@ class ExpiryManager {
         duration_text: SubscriptionService.formatDuration(sub.duration_days),
         created_at_ist: SubscriptionService.formatIST(sub.created_at),
         expires_at_ist: SubscriptionService.formatIST(sub.expires_at),
-        is_active: sub.status === 'active' && sub.expires_at > new Date()
+        is_active: sub.status === 'active' && sub.expires_at > new Date(),
+        in_grace: sub.status === 'grace'
       }));
     } catch (error) {
       console.error(`[ERROR] Failed to get subscription history for user ${userId}:`, error);
@@ -311,17 +546,29 @@ class ExpiryManager {
     const now = new Date();
     
     try {
-      const [activeCount, expiredCount, totalRevenue, recentStats] = await Promise.all([
-        db.collection('subscriptions').countDocuments({
+      const [activeByTier, activeSubscribers, graceCount, pausedCount, expiredCount, totalRevenue, recentStats, trialStats] = await Promise.all([
+        db.collection('subscriptions').aggregate([
+          { $match: { status: 'active', expires_at: { $gt: now } } },
+          { $group: { _id: { $ifNull: ['$tier', SubscriptionService.DEFAULT_TIER] }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ]).toArray(),
+        db.collection('subscriptions').distinct('user_id', {
           status: 'active',
           expires_at: { $gt: now }
         }),
+        db.collection('subscriptions').countDocuments({
+          status: 'grace'
+        }),
+        db.collection('subscriptions').countDocuments({
+          status: 'paused'
+        }),
         db.collection('subscriptions').countDocuments({
           status: 'expired'
         }),
         db.collection('transactions').aggregate([
           { $match: { type: 'subscription_purchase', status: 'completed' } },
-          { $group: { _id: null, total: { $sum: '$final_price_vv' } } }
+          // Plan changes only collect the amount left after the proration credit
+          { $group: { _id: null, total: { $sum: { $ifNull: ['$amount_charged_vv', '$final_price_vv'] } } } }
         ]).toArray(),
         db.collection('subscriptions').aggregate([
           {
@@ -338,14 +585,24 @@ class ExpiryManager {
           },
           { $sort: { _id: -1 } },
           { $limit: 30 }
-        ]).toArray()
+        ]).toArray(),
+        SubscriptionService.getTrialStats(now)
       ]);
 
       return {
-        active_subscriptions: activeCount,
+        active_subscriptions: activeByTier.reduce((total, tier) => total + tier.count, 0),
+        active_subscribers: activeSubscribers.length,
+        active_by_tier: Object.fromEntries(activeByTier.map(tier => [tier._id, tier.count])),
+        grace_subscriptions: graceCount,
+        grace_period_hours: GRACE_PERIOD_HOURS,
+        paused_subscriptions: pausedCount,
+        trials: trialStats,
         expired_subscriptions: expiredCount,
-        total_revenue_vv: totalRevenue[0]?.total || 0,
-        recent_activity: recentStats,
+        total_revenue_vv: Money.toNumber(Money.fromDb(totalRevenue[0]?.total)),
+        recent_activity: recentStats.map(day => ({
+          ...day,
+          revenue: Money.toNumber(Money.fromDb(day.revenue))
+        })),
         last_updated: now,
         checks: {
           last_expiry_check: this.lastExpiryCheck,
@@ -0,0 +1,255 @@
+// services/fraudService.js - Rules screening purchases and admin balance adjustments
+// Rules are configured in plans/fraud_rules.json. Each rule has an action: "block"
+// rejects the request, "hold" parks it until an admin approves it, and "alert"
+// lets it through. Any rule hit is stored as a fraud_events document for review
+// and announced in the Discord fraud channel.
+const fs = require('fs').promises;
+const path = require('path');
+const { getDB } = require('../config/mongodb');
+const Money = require('../utils/money');
+
+const RULES_PATH = path.join(__dirname, '../plans/fraud_rules.json');
+
+// Strongest action wins when several rules hit
+const ACTION_SEVERITY = { alert: 1, hold: 2, block: 3 };
+const EVENT_STATUS = { alert: 'alerted', hold: 'held', block: 'blocked' };
+// Events each rule type can apply to, unless the rule lists its own
+const RULE_EVENTS = {
+  purchase_count: ['purchase'],
+  purchase_spend: ['purchase'],
+  adjustment_amount: ['balance_adjustment'],
+  account_age: ['purchase', 'balance_adjustment']
+};
+const EVENT_LABELS = { purchase: 'Purchase', balance_adjustment: 'Balance adjustment' };
+
+let rulesCache = null;
+let rulesCacheTime = null;
+
+class FraudService {
+  // Enabled rules, with VV limits in micro-VV
+  static async getRules() {
+    try {
+      const stats = await fs.stat(RULES_PATH);
+      if (!rulesCache || !rulesCacheTime || stats.mtime > rulesCacheTime) {
+        const data = JSON.parse(await fs.readFile(RULES_PATH, 'utf8'));
+        rulesCache = data
+          .filter(rule => rule.enabled !== false && ACTION_SEVERITY[rule.action] && RULE_EVENTS[rule.type])
+          .map(rule => ({
+            ...rule,
+            events: rule.events || RULE_EVENTS[rule.type],
+            max: rule.max_vv !== undefined ? Money.toMicro(rule.max_vv) : null
+          }));
+        rulesCacheTime = stats.mtime;
+        console.log('[INFO] Fraud rules cache updated');
+      }
+      return rulesCache;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      // A broken edit must not switch screening off: keep the last rules that loaded
+      console.error(
+        `[ERROR] Failed to load fraud rules from ${RULES_PATH}, ${rulesCache ? `still using the ${rulesCache.length} rules loaded before` : 'no rules are active'}:`,
+        error
+      );
+      return rulesCache || [];
+    }
+  }
+
+  static async countRecentPurchases(userId, since, { session } = {}) {
+    return getDB().collection('transactions').countDocuments({
+      user_id: userId,
+      type: 'subscription_purchase',
+      auto_renewal: { $ne: true },
+      created_at: { $gte: since }
+    }, { session });
+  }
+
+  static async sumRecentSpend(userId, since, { session } = {}) {
+    const [row] = await getDB().collection('transactions').aggregate([
+      { $match: { user_id: userId, type: 'subscription_purchase', auto_renewal: { $ne: true }, created_at: { $gte: since } } },
+      { $group: { _id: null, spent: { $sum: { $ifNull: ['$amount_charged_vv', '$final_price_vv'] } } } }
+    ], { session }).toArray();
+    return row ? Money.fromDb(row.spent) : 0;
+  }
+
+  // Returns a hit description, or null when the rule passes
+  static async checkRule(rule, { userId, amount, accountCreatedAt, memberSince, now, session }) {
+    const since = new Date(now.getTime() - (rule.window_minutes || 60) * 60 * 1000);
+
+    switch (rule.type) {
+      case 'purchase_count': {
+        const count = await this.countRecentPurchases(userId, since, { session }) + 1;
+        return count > rule.max_count
+          ? `${count} purchases in ${rule.window_minutes} minutes (limit ${rule.max_count})`
+          : null;
+      }
+      case 'purchase_spend': {
+        const spent = await this.sumRecentSpend(userId, since, { session }) + amount;
+        return spent > rule.max
+          ? `${Money.format(spent)} VV spent in ${rule.window_minutes} minutes (limit ${Money.format(rule.max)} VV)`
+          : null;
+      }
+      case 'adjustment_amount':
+        return Math.abs(amount) > rule.max
+          ? `Adjustment of ${Money.format(Math.abs(amount))} VV (limit ${Money.format(rule.max)} VV)`
+          : null;
+      case 'account_age': {
+        // The newer of the Discord account and the membership here
+        const createdAt = [accountCreatedAt, memberSince].filter(Boolean).sort((a, b) => b - a)[0];
+        const ageDays = createdAt ? (now - createdAt) / (24 * 60 * 60 * 1000) : 0;
+        return ageDays < rule.min_age_days
+          ? `Account is ${Math.floor(ageDays)} days old (minimum ${rule.min_age_days})`
+          : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  static async checkRules(rules, context) {
+    const hits = [];
+    for (const rule of rules) {
+      const details = await this.checkRule(rule, context);
+      if (details) {
+        hits.push({ rule_id: rule.id, rule_name: rule.name || rule.id, type: rule.type, action: rule.action, details });
+      }
+    }
+    return hits;
+  }
+
+  // Run every rule for the event. When any rule hits, the event is recorded and
+  // announced, and a "block" or "hold" outcome throws. Returns the fraud event
+  // of an alert-only hit, otherwise null.
+  //   event: 'purchase' | 'balance_adjustment'
+  //   context: { userId, actorId, amount (micro-VV), accountCreatedAt, payload, now }
+  // payload is what an admin approval needs to re-run a held request.
+  static async screen(event, { userId, actorId = null, amount = 0, accountCreatedAt = null, payload = null, now = new Date() }) {
+    const rules = (await this.getRules()).filter(rule => rule.events.includes(event));
+    if (rules.length === 0) return null;
+
+    const user = await getDB().collection('users').findOne({ _id: userId }, { projection: { created_at: 1 } });
+    const hits = await this.checkRules(rules, { userId, amount, accountCreatedAt, memberSince: user?.created_at || null, now });
+    return this.recordHits(event, hits, { userId, actorId, amount, payload, now });
+  }
+
+  // Inside the purchase transaction: re-run the blocking and holding purchase
+  // count and spend rules against committed purchases. Screened purchases write
+  // the buyer's user document, so concurrent purchases conflict and the retry
+  // counts the one that committed first. Returns the hits, which the caller
+  // passes to recordHits once the transaction has aborted.
+  static async recheckPurchase({ userId, amount, session, now = new Date() }) {
+    const rules = (await this.getRules()).filter(rule => (
+      rule.events.includes('purchase') && rule.action !== 'alert' && ['purchase_count', 'purchase_spend'].includes(rule.type)
+    ));
+    if (rules.length === 0) return [];
+
+    await getDB().collection('users').updateOne(
+      { _id: userId },
+      { $set: { last_screened_purchase_at: now } },
+      { session }
+    );
+    return this.checkRules(rules, { userId, amount, now, session });
+  }
+
+  // Record and announce rule hits; see screen
+  static async recordHits(event, hits, { userId, actorId = null, amount = 0, payload = null, now = new Date() }) {
+    if (hits.length === 0) return null;
+
+    const db = getDB();
+    const user = await db.collection('users').findOne({ _id: userId }, { projection: { username: 1 } });
+    const action = hits.reduce((strongest, hit) => (
+      ACTION_SEVERITY[hit.action] > ACTION_SEVERITY[strongest] ? hit.action : strongest
+    ), 'alert');
+
+    const fraudEvent = {
+      event,
+      user_id: userId,
+      username: user?.username || null,
+      actor_id: actorId || userId,
+      amount_vv: Money.toDecimal128(amount),
+      hits,
+      action,
+      status: EVENT_STATUS[action],
+      payload: action === 'hold' ? payload : null,
+      review_status: 'open',
+      created_at: now
+    };
+    const { insertedId } = await db.collection('fraud_events').insertOne(fraudEvent);
+    fraudEvent._id = insertedId;
+
+    console.warn(`[WARN] Fraud rules ${hits.map(hit => hit.rule_id).join(', ')} hit on ${event} by ${userId} (${action})`);
+
+    setImmediate(() => {
+      // Required here: SubscriptionService itself depends on this module
+      require('./subscriptionService').sendFraudAlertChannelMessage(fraudEvent);
+    });
+
+    if (action === 'block') {
+      const error = new Error(`${EVENT_LABELS[event]} blocked by fraud rules - please contact an admin`);
+      error.fraudEvent = fraudEvent;
+      throw error;
+    }
+    if (action === 'hold') {
+      const error = new Error(`${EVENT_LABELS[event]} held for review - an admin will look at it shortly`);
+      error.fraudEvent = fraudEvent;
+      throw error;
+    }
+    return fraudEvent;
+  }
+
+  static async listEvents({ status = null, reviewStatus = null, userId = null, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (reviewStatus) query.review_status = reviewStatus;
+    if (userId) query.user_id = userId;
+
+    return getDB().collection('fraud_events')
+      .find(query)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  // Claim an open event for review. Held events are approved or rejected;
+  // alerts and blocks can only be acknowledged.
+  static async claimReview(eventId, { adminId, decision, note = null }) {
+    if (!['approved', 'rejected', 'acknowledged'].includes(decision)) {
+      throw new Error('Fraud review decision must be approved, rejected or acknowledged');
+    }
+
+    const db = getDB();
+    const fraudEvent = await db.collection('fraud_events').findOne({ _id: eventId });
+    if (!fraudEvent) {
+      throw new Error('Fraud event not found');
+    }
+    if (fraudEvent.status === 'held' ? decision === 'acknowledged' : decision !== 'acknowledged') {
+      throw new Error(`Fraud review of a ${fraudEvent.status} event can't be ${decision}`);
+    }
+
+    const claimed = await db.collection('fraud_events').findOneAndUpdate(
+      { _id: eventId, review_status: 'open' },
+      { $set: { review_status: decision, reviewed_by: adminId, reviewed_at: new Date(), review_note: note } },
+      { returnDocument: 'after' }
+    );
+    if (!claimed) {
+      throw new Error('Fraud event has already been reviewed');
+    }
+
+    console.log(`[INFO] Admin ${adminId} ${decision} fraud event ${eventId}`);
+    return claimed;
+  }
+
+  // Put an approval back when re-running the held request failed
+  static async reopenReview(eventId, failure) {
+    await getDB().collection('fraud_events').updateOne(
+      { _id: eventId, review_status: 'approved' },
+      {
+        $set: { review_status: 'open', last_approval_error: failure },
+        $unset: { reviewed_by: '', reviewed_at: '', review_note: '' }
+      }
+    );
+  }
+}
+
+module.exports = FraudService;
\ No newline at end of file
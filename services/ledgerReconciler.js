@@ -0,0 +1,174 @@
+// services/ledgerReconciler.js - Nightly proof that vv_balance matches the ledger
+const { getDB, withTransaction } = require('../config/mongodb');
+const SubscriptionService = require('./subscriptionService');
+const Money = require('../utils/money');
+const cron = require('node-cron');
+
+// Drift details kept on each run document (the full count is always recorded)
+const MAX_REPORTED_DRIFTS = 100;
+
+class LedgerReconciler {
+  static init() {
+    // Reconcile every night at 03:30
+    cron.schedule('30 3 * * *', () => {
+      this.runReconciliation().catch(error => {
+        console.error('[ERROR] Ledger reconciliation failed:', error);
+      });
+    });
+
+    console.log('[INFO] Ledger reconciler scheduled nightly at 03:30');
+  }
+
+  static async runReconciliation(triggeredBy = 'cron') {
+    const db = getDB();
+    const startedAt = new Date();
+    console.log('[INFO] Running ledger reconciliation...');
+
+    // Sum of every user account in the ledger
+    const ledgerTotals = await db.collection('ledger_entries').aggregate([
+      { $match: { user_id: { $ne: null } } },
+      { $group: { _id: '$user_id', total: { $sum: '$amount' } } }
+    ]).toArray();
+    const ledgerBalances = new Map(ledgerTotals.map(row => [row._id, Money.fromDb(row.total)]));
+
+    // Every journal must sum to zero
+    const unbalancedJournals = await db.collection('ledger_entries').aggregate([
+      { $group: { _id: '$journal_id', total: { $sum: '$amount' } } },
+      { $match: { total: { $ne: Money.toDecimal128(0) } } },
+      { $limit: MAX_REPORTED_DRIFTS }
+    ]).toArray();
+
+    const drifts = [];
+    let usersChecked = 0;
+    let storedTotal = 0;
+    let ledgerTotal = 0;
+
+    const users = db.collection('users').find({}, { projection: { vv_balance: 1, username: 1, ledger_drift: 1 } });
+    for await (const user of users) {
+      usersChecked++;
+      let stored = Money.fromDb(user.vv_balance);
+      let expected = ledgerBalances.get(user._id) || 0;
+
+      // A purchase may land between the ledger scan and this read; confirm
+      // any mismatch against a single consistent snapshot before flagging it.
+      if (stored !== expected) {
+        ({ stored, expected } = await this.snapshotUser(user._id));
+      }
+
+      storedTotal += stored;
+      ledgerTotal += expected;
+
+      if (stored !== expected) {
+        drifts.push({
+          user_id: user._id,
+          username: user.username,
+          stored_balance: Money.toDecimal128(stored),
+          ledger_balance: Money.toDecimal128(expected),
+          drift: Money.toDecimal128(stored - expected)
+        });
+
+        await db.collection('users').updateOne(
+          { _id: user._id },
+          { $set: { ledger_drift: { amount: Money.toDecimal128(stored - expected), detected_at: startedAt } } }
+        );
+      } else if (user.ledger_drift) {
+        await db.collection('users').updateOne({ _id: user._id }, { $unset: { ledger_drift: '' } });
+      }
+    }
+
+    const run = {
+      started_at: startedAt,
+      finished_at: new Date(),
+      triggered_by: triggeredBy,
+      users_checked: usersChecked,
+      drift_count: drifts.length,
+      drifts: drifts.slice(0, MAX_REPORTED_DRIFTS),
+      unbalanced_journal_count: unbalancedJournals.length,
+      unbalanced_journals: unbalancedJournals.map(row => row._id),
+      stored_total: Money.toDecimal128(storedTotal),
+      ledger_total: Money.toDecimal128(ledgerTotal),
+      status: drifts.length === 0 && unbalancedJournals.length === 0 ? 'clean' : 'drift_detected'
+    };
+
+    const { insertedId } = await db.collection('reconciliation_runs').insertOne(run);
+    run._id = insertedId;
+
+    console.log(`[INFO] Ledger reconciliation ${run.status}: ${usersChecked} users checked, ${drifts.length} drifted, ${unbalancedJournals.length} unbalanced journals`);
+
+    try {
+      await this.sendSummaryChannelMessage(run);
+    } catch (error) {
+      console.error('[ERROR] Failed to post reconciliation summary:', error.message);
+    }
+
+    return run;
+  }
+
+  static async snapshotUser(userId) {
+    return withTransaction(async (session) => {
+      const db = getDB();
+      const user = await db.collection('users').findOne({ _id: userId }, { session, projection: { vv_balance: 1 } });
+      const [row] = await db.collection('ledger_entries').aggregate([
+        { $match: { user_id: userId } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ], { session }).toArray();
+
+      return { stored: Money.fromDb(user?.vv_balance), expected: Money.fromDb(row?.total) };
+    });
+  }
+
+  static async sendSummaryChannelMessage(run) {
+    const channelId = process.env.DISCORD_TRANSACTION_CHANNEL_ID;
+    if (!channelId) {
+      console.warn('[WARN] Reconciliation summary skipped - DISCORD_TRANSACTION_CHANNEL_ID not set');
+      return;
+    }
+
+    const clean = run.status === 'clean';
+    const driftLines = run.drifts.slice(0, 10).map(drift =>
+      `<@${drift.user_id}>: stored ${Money.format(Money.fromDb(drift.stored_balance))} / ledger ${Money.format(Money.fromDb(drift.ledger_balance))} VV`
+    );
+
+    const embed = {
+      title: clean ? '✅ Ledger Reconciliation Clean' : '🚨 Ledger Drift Detected',
+      color: clean ? 0x28a745 : 0xff0000,
+      fields: [
+        { name: '👥 Users Checked', value: `${run.users_checked}`, inline: true },
+        { name: '⚠️ Drifted Balances', value: `${run.drift_count}`, inline: true },
+        { name: '📒 Unbalanced Journals', value: `${run.unbalanced_journal_count}`, inline: true },
+        { name: '💎 Stored Total', value: `${Money.format(Money.fromDb(run.stored_total))} VV`, inline: true },
+        { name: '📘 Ledger Total', value: `${Money.format(Money.fromDb(run.ledger_total))} VV`, inline: true }
+      ],
+      footer: { text: `Run ${run._id.toString().substr(-8)} • ${run.triggered_by}` },
+      timestamp: run.finished_at.toISOString()
+    };
+
+    if (driftLines.length > 0) {
+      embed.fields.push({ name: '🔍 Drift Details', value: driftLines.join('\n'), inline: false });
+    }
+
+    await SubscriptionService.sendChannelMessage(channelId, { embeds: [embed] });
+  }
+
+  static async getRecentRuns(limit = 10) {
+    const runs = await getDB().collection('reconciliation_runs')
+      .find({}, { projection: { drifts: { $slice: 20 } } })
+      .sort({ started_at: -1 })
+      .limit(limit)
+      .toArray();
+
+    return runs.map(run => ({
+      ...run,
+      stored_total: Money.toNumber(Money.fromDb(run.stored_total)),
+      ledger_total: Money.toNumber(Money.fromDb(run.ledger_total)),
+      drifts: run.drifts.map(drift => ({
+        ...drift,
+        stored_balance: Money.toNumber(Money.fromDb(drift.stored_balance)),
+        ledger_balance: Money.toNumber(Money.fromDb(drift.ledger_balance)),
+        drift: Money.toNumber(Money.fromDb(drift.drift))
+      }))
+    }));
+  }
+}
+
+module.exports = LedgerReconciler;
\ No newline at end of file
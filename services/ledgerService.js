@@ -0,0 +1,170 @@
+// services/ledgerService.js - Double-entry VV ledger
+// Every change to users.vv_balance goes through transfer(): it writes a balanced
+// journal (entries summing to zero) to ledger_entries and applies the user side
+// to vv_balance in the same MongoDB session, so balances can always be rebuilt
+// from the ledger.
+const { ObjectId } = require('mongodb');
+const { getDB, withTransaction } = require('../config/mongodb');
+const Money = require('../utils/money');
+
+// Accounts that are not users. Their balances go negative as VV leaves them.
+const SYSTEM_ACCOUNTS = {
+  ISSUANCE: 'system:issuance',             // Default balances and admin grants
+  REVENUE: 'system:revenue',               // Subscription sales
+  DEPOSITS: 'system:deposits',             // VV bought through payment providers
+  VOUCHERS: 'system:vouchers',             // Giveaway voucher codes
+  REFERRALS: 'system:referrals',           // Referral bonuses
+  LOYALTY: 'system:loyalty',               // Supporter tier cashback
+  OPENING_BALANCE: 'system:opening_balance' // Balances that predate the ledger
+};
+
+const USER_ACCOUNT_PREFIX = 'user:';
+
+class LedgerService {
+  static userAccount(userId) {
+    return `${USER_ACCOUNT_PREFIX}${userId}`;
+  }
+
+  static userIdFromAccount(account) {
+    return account.startsWith(USER_ACCOUNT_PREFIX) ? account.slice(USER_ACCOUNT_PREFIX.length) : null;
+  }
+
+  // Build the two entries of a journal moving `amount` micro-VV from one account to another
+  static buildJournal({ journalId = new ObjectId(), from, to, amount, type, reference = null, metadata = {}, createdBy = null, createdAt = new Date() }) {
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      throw new Error(`Ledger amount must be a positive micro-VV integer, got ${amount}`);
+    }
+    if (from === to) {
+      throw new Error('Ledger transfer requires two different accounts');
+    }
+
+    return [
+      { account: from, amount: -amount },
+      { account: to, amount }
+    ].map(({ account, amount: signedAmount }) => ({
+      journal_id: journalId,
+      account,
+      user_id: this.userIdFromAccount(account),
+      amount: Money.toDecimal128(signedAmount),
+      entry_type: type,
+      reference,
+      metadata,
+      created_by: createdBy,
+      created_at: createdAt
+    }));
+  }
+
+  // Move VV between two accounts inside `session`. User accounts have their
+  // vv_balance updated atomically; debits fail instead of overdrawing unless
+  // allowOverdraft is set. Returns { journalId, balances: { [userId]: { before, after } } }.
+  static async transfer({ from, to, amount, type, reference, metadata, createdBy, session, allowOverdraft = false }) {
+    if (!session) {
+      throw new Error('Ledger transfers must run inside a MongoDB transaction');
+    }
+
+    const db = getDB();
+    const now = new Date();
+    const entries = this.buildJournal({ from, to, amount, type, reference, metadata, createdBy, createdAt: now });
+    const balances = {};
+
+    for (const entry of entries) {
+      if (!entry.user_id) continue;
+
+      const delta = Money.toMicro(entry.amount);
+      const filter = { _id: entry.user_id };
+      if (delta < 0 && !allowOverdraft) {
+        filter.vv_balance = { $gte: Money.toDecimal128(-delta) };
+      }
+
+      const user = await db.collection('users').findOneAndUpdate(
+        filter,
+        {
+          $inc: { vv_balance: entry.amount },
+          $set: { updated_at: now }
+        },
+        { session, returnDocument: 'after', projection: { vv_balance: 1 } }
+      );
+
+      if (!user) {
+        const exists = await db.collection('users').countDocuments({ _id: entry.user_id }, { session });
+        throw new Error(exists ? 'Insufficient VV balance' : 'User not found');
+      }
+
+      const after = Money.fromDb(user.vv_balance);
+      entry.balance_after = Money.toDecimal128(after);
+      balances[entry.user_id] = { before: after - delta, after };
+    }
+
+    await db.collection('ledger_entries').insertMany(entries, { session });
+
+    return { journalId: entries[0].journal_id, balances };
+  }
+
+  static async credit(userId, amount, options) {
+    return this.transfer({ ...options, from: options.from || SYSTEM_ACCOUNTS.ISSUANCE, to: this.userAccount(userId), amount });
+  }
+
+  static async debit(userId, amount, options) {
+    return this.transfer({ ...options, from: this.userAccount(userId), to: options.to || SYSTEM_ACCOUNTS.REVENUE, amount });
+  }
+
+  // Give a user their starting balance exactly once. Safe to call on every
+  // request: only the caller that flips vv_balance from missing to 0 posts
+  // the default balance. Returns the user's balance in micro-VV.
+  static async initializeBalance(userId) {
+    return withTransaction(async (session) => {
+      const db = getDB();
+      const claimed = await db.collection('users').updateOne(
+        { _id: userId, $or: [{ vv_balance: { $exists: false } }, { vv_balance: null }] },
+        { $set: { vv_balance: Money.toDecimal128(0), updated_at: new Date() } },
+        { session }
+      );
+
+      if (claimed.modifiedCount === 0) {
+        const user = await db.collection('users').findOne({ _id: userId }, { session, projection: { vv_balance: 1 } });
+        return Money.fromDb(user?.vv_balance);
+      }
+
+      const defaultBalance = Money.getDefaultBalance();
+      if (defaultBalance <= 0) {
+        return 0;
+      }
+
+      const { balances } = await this.credit(userId, defaultBalance, {
+        type: 'default_balance',
+        metadata: { source: 'DEFAULT_VV_BALANCE' },
+        session
+      });
+      console.log(`[INFO] Initialized balance for user ${userId}: ${Money.format(defaultBalance)} VV`);
+      return balances[userId].after;
+    });
+  }
+
+  // Balance of any account as the sum of its ledger entries (micro-VV)
+  static async getAccountBalance(account) {
+    const [result] = await getDB().collection('ledger_entries').aggregate([
+      { $match: { account } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).toArray();
+    return Money.fromDb(result?.total);
+  }
+
+  static async getUserEntries(userId, limit = 50) {
+    const entries = await getDB().collection('ledger_entries')
+      .find({ account: this.userAccount(userId) })
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray();
+
+    return entries.map(entry => ({
+      ...entry,
+      amount: Money.toNumber(Money.fromDb(entry.amount)),
+      balance_after: entry.balance_after !== undefined ? Money.toNumber(Money.fromDb(entry.balance_after)) : null,
+      formatted_amount: Money.format(Money.fromDb(entry.amount))
+    }));
+  }
+}
+
+LedgerService.SYSTEM_ACCOUNTS = SYSTEM_ACCOUNTS;
+
+module.exports = LedgerService;
\ No newline at end of file
@@ -0,0 +1,161 @@
+// services/loyaltyService.js - Supporter tiers earned from lifetime subscription spend
+// Tiers are configured in plans/loyalty_tiers.json, each with a VV threshold, an
+// optional Discord role and an optional cashback percentage. Lifetime spend is
+// the VV a member was charged for subscription purchases (gifts they bought
+// included, gifts they received not) less what was refunded to them. Tiers only
+// ever go up.
+const fs = require('fs').promises;
+const path = require('path');
+const { getDB } = require('../config/mongodb');
+const LedgerService = require('./ledgerService');
+const Money = require('../utils/money');
+
+const TIERS_PATH = path.join(__dirname, '../plans/loyalty_tiers.json');
+
+let tiersCache = null;
+let tiersCacheTime = null;
+
+class LoyaltyService {
+  // Tiers sorted by threshold, with min_spent in micro-VV
+  static async getTiers() {
+    try {
+      const stats = await fs.stat(TIERS_PATH);
+      if (!tiersCache || !tiersCacheTime || stats.mtime > tiersCacheTime) {
+        const data = JSON.parse(await fs.readFile(TIERS_PATH, 'utf8'));
+        tiersCache = data
+          .map(tier => ({
+            ...tier,
+            min_spent: Money.toMicro(tier.min_spent_vv),
+            cashback_percent: Number(tier.cashback_percent) || 0
+          }))
+          .sort((a, b) => a.min_spent - b.min_spent);
+        tiersCacheTime = stats.mtime;
+        console.log('[INFO] Loyalty tiers cache updated');
+      }
+      return tiersCache;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[ERROR] Failed to load loyalty tiers:', error);
+      }
+      return [];
+    }
+  }
+
+  static async getLifetimeSpend(userId, { session } = {}) {
+    const [row] = await getDB().collection('transactions').aggregate([
+      { $match: { user_id: userId, type: { $in: ['subscription_purchase', 'refund'] }, is_trial: { $ne: true } } },
+      {
+        $group: {
+          _id: null,
+          // Plan changes only charge the difference after the old plan's credit
+          paid: {
+            $sum: {
+              $cond: [
+                { $eq: ['$type', 'subscription_purchase'] },
+                { $ifNull: ['$amount_charged_vv', { $ifNull: ['$final_price_vv', 0] }] },
+                0
+              ]
+            }
+          },
+          refunded: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, { $ifNull: ['$refund_amount_vv', 0] }, 0] } }
+        }
+      }
+    ], { session }).toArray();
+
+    if (!row) return 0;
+    return Math.max(0, Money.fromDb(row.paid) - Money.fromDb(row.refunded));
+  }
+
+  static tierForSpend(tiers, spent) {
+    let current = null;
+    for (const tier of tiers) {
+      if (spent >= tier.min_spent) current = tier;
+    }
+    return current;
+  }
+
+  static async getUserTier(userId, { session } = {}) {
+    const [tiers, user] = await Promise.all([
+      this.getTiers(),
+      getDB().collection('users').findOne({ _id: userId }, { session, projection: { loyalty_tier: 1 } })
+    ]);
+    return tiers.find(tier => tier.id === user?.loyalty_tier?.id) || null;
+  }
+
+  // Cashback on a purchase at the buyer's current tier, credited inside the
+  // purchase transaction. Returns { amount, percent, tier } or null.
+  static async applyCashback(userId, amountPaid, { transactionId, session }) {
+    if (amountPaid <= 0) return null;
+
+    const tier = await this.getUserTier(userId, { session });
+    if (!tier || tier.cashback_percent <= 0) return null;
+
+    const amount = Money.percentOf(amountPaid, tier.cashback_percent);
+    if (amount <= 0) return null;
+
+    await LedgerService.credit(userId, amount, {
+      from: LedgerService.SYSTEM_ACCOUNTS.LOYALTY,
+      type: 'loyalty_cashback',
+      reference: { collection: 'transactions', id: transactionId },
+      metadata: { tier_id: tier.id, cashback_percent: tier.cashback_percent },
+      session
+    });
+
+    return { amount, percent: tier.cashback_percent, tier };
+  }
+
+  // Move the user up to the tier their lifetime spend has reached. Returns
+  // { tier, previousTier, spent } on a tier-up, otherwise null.
+  static async evaluateTier(userId, { session, now = new Date() } = {}) {
+    const db = getDB();
+    const tiers = await this.getTiers();
+    if (tiers.length === 0) return null;
+
+    const spent = await this.getLifetimeSpend(userId, { session });
+    const reached = this.tierForSpend(tiers, spent);
+    if (!reached) return null;
+
+    const user = await db.collection('users').findOne({ _id: userId }, { session, projection: { loyalty_tier: 1 } });
+    const previousTier = tiers.find(tier => tier.id === user?.loyalty_tier?.id) || null;
+    if (previousTier && previousTier.min_spent >= reached.min_spent) return null;
+
+    await db.collection('users').updateOne(
+      { _id: userId },
+      {
+        $set: { loyalty_tier: { id: reached.id, reached_at: now }, updated_at: now },
+        $push: { loyalty_history: { tier_id: reached.id, spent_vv: Money.toDecimal128(spent), reached_at: now } }
+      },
+      { session }
+    );
+
+    return { tier: reached, previousTier, spent };
+  }
+
+  // Current tier and progress toward the next one, for /profile
+  static async getProgress(userId) {
+    const [tiers, spent, currentTier] = await Promise.all([
+      this.getTiers(),
+      this.getLifetimeSpend(userId),
+      this.getUserTier(userId)
+    ]);
+    if (tiers.length === 0) return null;
+
+    const nextTier = tiers.find(tier => tier.min_spent > spent && (!currentTier || tier.min_spent > currentTier.min_spent)) || null;
+    const floor = currentTier ? currentTier.min_spent : 0;
+    const progress = nextTier
+      ? Math.min(100, Math.round(((spent - floor) / (nextTier.min_spent - floor)) * 100))
+      : 100;
+
+    return {
+      spent: Money.toNumber(spent),
+      formatted_spent: Money.format(spent),
+      tier: currentTier ? { id: currentTier.id, name: currentTier.name, cashback_percent: currentTier.cashback_percent } : null,
+      next_tier: nextTier ? { id: nextTier.id, name: nextTier.name, cashback_percent: nextTier.cashback_percent } : null,
+      remaining: nextTier ? Money.toNumber(nextTier.min_spent - spent) : 0,
+      formatted_remaining: nextTier ? Money.format(nextTier.min_spent - spent) : null,
+      progress: Math.max(0, progress)
+    };
+  }
+}
+
+module.exports = LoyaltyService;
\ No newline at end of file
@@ -0,0 +1,49 @@
+// services/paymentProviders/index.js - Registry of payment providers for VV top-ups
+// A provider is an object with:
+//   id                                  - short name used in URLs and stored on deposits
+//   displayName                         - label shown to members
+//   createPayment(intent)               - start a payment at the processor; resolves to
+//                                         { reference, checkoutUrl, instructions }
+//   verifyWebhook(rawBody, headers)     - true when the request is signed by the processor
+//   parseWebhookEvent(rawBody, headers) - { eventId, intentId, reference, status, amount }
+//                                         where status is 'succeeded' or 'failed' and amount
+//                                         is micro-VV
+// DepositService only talks to this interface, so real processors plug in here.
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  [MockProvider.id]: MockProvider
+};
+
+// Comma-separated list of enabled providers. None are on unless listed: the mock
+// provider mints VV, so even it has to be enabled explicitly.
+const getEnabledIds = () => (process.env.PAYMENT_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(id => PROVIDERS[id]);
+
+const getProvider = (id) => {
+  if (!getEnabledIds().includes(id)) {
+    throw new Error(`Deposit provider "${id}" is not available`);
+  }
+  return PROVIDERS[id];
+};
+
+const listProviders = () => getEnabledIds().map(id => ({
+  id,
+  display_name: PROVIDERS[id].displayName
+}));
+
+// Who may complete their own mock deposits without paying: admins, or every
+// member on a development setup with ALLOW_MOCK_DEPOSIT_SIMULATION=true
+const canSimulate = (userId) => {
+  const isAdmin = Boolean(process.env.ADMIN_USER_IDS) && process.env.ADMIN_USER_IDS.split(',').includes(userId);
+  const devFlag = process.env.ALLOW_MOCK_DEPOSIT_SIMULATION === 'true' && process.env.NODE_ENV !== 'production';
+  return isAdmin || devFlag;
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  canSimulate
+};
\ No newline at end of file
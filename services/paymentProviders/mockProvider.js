@@ -0,0 +1,70 @@
+// services/paymentProviders/mockProvider.js - Offline provider for testing top-ups
+// No money moves: the "payment" is completed by sending a webhook signed with
+// MOCK_PAYMENT_WEBHOOK_SECRET, either from the profile page or by hand:
+//   body='{"event_id":"evt_1","intent_id":"<id>","status":"succeeded","amount":"1.5"}'
+//   sig=$(printf '%s' "$body" | openssl dgst -sha256 -hmac "$MOCK_PAYMENT_WEBHOOK_SECRET" | cut -d' ' -f2)
+//   curl -X POST localhost:3000/webhooks/payments/mock -H 'Content-Type: application/json' \
+//     -H "X-Mock-Signature: sha256=$sig" -d "$body"
+const crypto = require('crypto');
+const Money = require('../../utils/money');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const getSecret = () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return secret;
+};
+
+const sign = (rawBody) => `sha256=${crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex')}`;
+
+const MockProvider = {
+  id: 'mock',
+  displayName: 'Mock (testing)',
+
+  async createPayment(intent) {
+    return {
+      reference: `mock_${intent._id}`,
+      checkoutUrl: null,
+      instructions: 'Use "Simulate payment" on your profile to complete this test deposit.'
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const received = headers[SIGNATURE_HEADER];
+    if (!rawBody || typeof received !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(sign(rawBody));
+    const actual = Buffer.from(received);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+
+  parseWebhookEvent(rawBody) {
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    return {
+      eventId: String(payload.event_id),
+      intentId: payload.intent_id,
+      reference: `mock_${payload.intent_id}`,
+      status: payload.status === 'succeeded' ? 'succeeded' : 'failed',
+      amount: Money.parse(payload.amount)
+    };
+  },
+
+  // Signed webhook request the processor would send for `intent`
+  buildWebhook(intent, status = 'succeeded') {
+    const rawBody = Buffer.from(JSON.stringify({
+      event_id: `evt_${crypto.randomUUID()}`,
+      intent_id: intent._id.toString(),
+      status,
+      amount: Money.toString(Money.fromDb(intent.amount_vv))
+    }));
+
+    return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } };
+  }
+};
+
+module.exports = MockProvider;
\ No newline at end of file
@@ -0,0 +1,294 @@
+// services/planService.js - Subscription plan catalog stored in MongoDB
+// Each plan is a plans document (keyed by plan ID) holding its current
+// definition, catalog position and status. Every create or update also writes an
+// immutable plan_versions document; subscriptions and transactions keep the
+// version they were bought under, so later edits never rewrite history.
+// migration/importPlans.js seeds the catalog from plans/subscriptions.json.
+// Definitions are checked against utils/planSchema.js on every write and every
+// load; a catalog that fails validation never replaces the last good one.
+const fs = require('fs').promises;
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { getDB, withTransaction } = require('../config/mongodb');
+const PlanSchema = require('../utils/planSchema');
+const ProductService = require('./productService');
+
+// Admin edits clear the cache right away; other processes pick them up after this
+const CACHE_TTL_MS = (Number(process.env.PLANS_CACHE_TTL_SECONDS) || 30) * 1000;
+const PLANS_FILE_PATH = path.join(__dirname, '../plans/subscriptions.json');
+
+// Last catalog that passed validation, and the result of the latest load
+let catalogCache = null;
+let catalogCacheTime = null;
+let catalogStatus = { checked_at: null, valid: null, serving_last_good: false, failures: [], load_error: null };
+
+class PlanService {
+  // Definition as stored on a version: the plan JSON minus catalog bookkeeping.
+  // Throws an Error listing every schema problem (also on error.validationErrors).
+  static normalizeDefinition(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('Plan definition must be an object');
+    }
+
+    const { _id, version, version_id, status, position, ...fields } = definition;
+    const errors = PlanSchema.validatePlan(fields);
+    if (errors.length > 0) {
+      const error = new Error(`Plan ${typeof fields.id === 'string' ? `${fields.id} ` : ''}is invalid: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+    return fields;
+  }
+
+  // Plans can only be written for a product in plans/products.json
+  static async checkProduct(fields) {
+    const slug = fields.product || ProductService.DEFAULT_PRODUCT;
+    if (!await ProductService.getProduct(slug)) {
+      const error = new Error(`Plan ${fields.id} is invalid: product "${slug}" is not in plans/products.json`);
+      error.validationErrors = [`product must be one of the products in plans/products.json (got "${slug}")`];
+      throw error;
+    }
+  }
+
+  static buildVersion(definition, { version, createdBy = null, note = null, now = new Date() }) {
+    return {
+      _id: new ObjectId(),
+      plan_id: definition.id,
+      version,
+      definition,
+      created_by: createdBy,
+      note,
+      created_at: now
+    };
+  }
+
+  static buildPlanDocument(versionDoc, { position, now = new Date() }) {
+    return {
+      _id: versionDoc.plan_id,
+      definition: versionDoc.definition,
+      version: versionDoc.version,
+      version_id: versionDoc._id,
+      status: 'active',
+      position,
+      created_at: now,
+      updated_at: now
+    };
+  }
+
+  // Plan object as the rest of the app sees it
+  static toPlan(doc) {
+    return {
+      ...doc.definition,
+      id: doc._id,
+      version: doc.version,
+      version_id: doc.version_id,
+      status: doc.status,
+      position: doc.position
+    };
+  }
+
+  // Forces the next getCatalog to reload; the last good catalog stays as fallback
+  static invalidateCache() {
+    catalogCacheTime = null;
+  }
+
+  static async loadCatalog() {
+    const now = new Date();
+    let docs;
+    try {
+      docs = await getDB().collection('plans').find({}).sort({ position: 1, _id: 1 }).toArray();
+    } catch (error) {
+      catalogStatus = { ...catalogStatus, checked_at: now, load_error: error.message, serving_last_good: Boolean(catalogCache) };
+      if (!catalogCache) throw error;
+      console.error('[ERROR] Failed to load plan catalog, serving the last good one:', error);
+      return;
+    }
+
+    if (docs.length === 0) {
+      console.warn('[WARN] Plan catalog is empty - run `node migration/importPlans.js` to import plans/subscriptions.json');
+    }
+
+    // Only reachable by editing the plans collection directly
+    const failures = PlanSchema.validateCatalog(docs.map(doc => ({ ...doc.definition, id: doc._id })));
+    const plans = docs.map(doc => this.toPlan(doc));
+
+    const servingLastGood = failures.length > 0 && Boolean(catalogCache);
+    if (failures.length === 0) {
+      catalogCache = plans;
+    } else if (servingLastGood) {
+      console.error(`[ERROR] Plan catalog failed validation, serving the last good one:\n${PlanSchema.formatFailures(failures)}`);
+    } else {
+      // Nothing good to fall back on yet: serve the plans that did validate
+      const invalidIds = new Set(failures.map(failure => failure.plan_id));
+      catalogCache = plans.filter(plan => !invalidIds.has(plan.id));
+      console.error(`[ERROR] Plan catalog failed validation, invalid plans are hidden:\n${PlanSchema.formatFailures(failures)}`);
+    }
+
+    catalogCacheTime = Date.now();
+    catalogStatus = {
+      checked_at: now,
+      valid: failures.length === 0,
+      serving_last_good: servingLastGood,
+      failures,
+      load_error: null
+    };
+  }
+
+  // Plans in catalog order. Archived plans are left out unless asked for.
+  static async getCatalog({ includeArchived = false, forceReload = false } = {}) {
+    if (!catalogCache || forceReload || !catalogCacheTime || Date.now() - catalogCacheTime > CACHE_TTL_MS) {
+      await this.loadCatalog();
+    }
+
+    return includeArchived ? catalogCache : catalogCache.filter(plan => plan.status === 'active');
+  }
+
+  // Validation status of the live catalog and of the import file, for admins
+  static async getValidationStatus() {
+    await this.loadCatalog();
+
+    let file;
+    try {
+      const definitions = JSON.parse(await fs.readFile(PLANS_FILE_PATH, 'utf8'));
+      const failures = PlanSchema.validateCatalog(definitions);
+      file = { path: 'plans/subscriptions.json', valid: failures.length === 0, failures, parse_error: null };
+    } catch (error) {
+      file = {
+        path: 'plans/subscriptions.json',
+        valid: error.code === 'ENOENT' ? null : false,
+        failures: [],
+        parse_error: error.code === 'ENOENT' ? null : error.message
+      };
+    }
+
+    return {
+      catalog: { ...catalogStatus, serving_plans: catalogCache ? catalogCache.map(plan => plan.id) : [] },
+      file
+    };
+  }
+
+  static async listVersions(planId) {
+    return getDB().collection('plan_versions').find({ plan_id: planId }).sort({ version: -1 }).toArray();
+  }
+
+  static async createPlan(definition, { adminId }) {
+    const fields = this.normalizeDefinition(definition);
+    await this.checkProduct(fields);
+    const db = getDB();
+
+    const plan = await withTransaction(async (session) => {
+      const now = new Date();
+      const [last] = await db.collection('plans').find({}, { session }).sort({ position: -1 }).limit(1).toArray();
+      const versionDoc = this.buildVersion(fields, { version: 1, createdBy: adminId, note: 'Created', now });
+      const planDoc = this.buildPlanDocument(versionDoc, { position: last ? last.position + 1 : 0, now });
+
+      try {
+        await db.collection('plans').insertOne(planDoc, { session });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error(`Plan ${fields.id} already exists`);
+        }
+        throw error;
+      }
+      await db.collection('plan_versions').insertOne(versionDoc, { session });
+      return planDoc;
+    });
+
+    this.invalidateCache();
+    console.log(`[INFO] Admin ${adminId} created plan ${plan._id}`);
+    return this.toPlan(plan);
+  }
+
+  // Apply `changes` on top of the current definition as a new version. A field
+  // set to null is removed. The plan ID can't change.
+  static async updatePlan(planId, changes, { adminId, note = null }) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error('Plan changes must be an object');
+    }
+    if (changes.id !== undefined && changes.id !== planId) {
+      throw new Error('Plan ID cannot be changed');
+    }
+
+    const db = getDB();
+    const plan = await withTransaction(async (session) => {
+      const now = new Date();
+      const current = await db.collection('plans').findOne({ _id: planId }, { session });
+      if (!current) {
+        throw new Error('Plan not found');
+      }
+
+      const merged = { ...current.definition, ...changes, id: planId };
+      Object.keys(merged).forEach((key) => {
+        if (merged[key] === null) delete merged[key];
+      });
+      const fields = this.normalizeDefinition(merged);
+      await this.checkProduct(fields);
+      const versionDoc = this.buildVersion(fields, { version: current.version + 1, createdBy: adminId, note, now });
+
+      // The version guard turns a concurrent edit into a retryable conflict
+      const updated = await db.collection('plans').findOneAndUpdate(
+        { _id: planId, version: current.version },
+        { $set: { definition: fields, version: versionDoc.version, version_id: versionDoc._id, updated_at: now } },
+        { session, returnDocument: 'after' }
+      );
+      if (!updated) {
+        throw new Error('Plan was changed by someone else - reload and try again');
+      }
+      await db.collection('plan_versions').insertOne(versionDoc, { session });
+      return updated;
+    });
+
+    this.invalidateCache();
+    console.log(`[INFO] Admin ${adminId} updated plan ${planId} to version ${plan.version}`);
+    return this.toPlan(plan);
+  }
+
+  // Archived plans are no longer sold; existing subscriptions keep renewing
+  static async setArchived(planId, archived, { adminId }) {
+    const now = new Date();
+    const update = archived
+      ? { $set: { status: 'archived', archived_at: now, archived_by: adminId, updated_at: now } }
+      : { $set: { status: 'active', updated_at: now }, $unset: { archived_at: '', archived_by: '' } };
+
+    const plan = await getDB().collection('plans').findOneAndUpdate(
+      { _id: planId },
+      update,
+      { returnDocument: 'after' }
+    );
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+
+    this.invalidateCache();
+    console.log(`[INFO] Admin ${adminId} ${archived ? 'archived' : 'restored'} plan ${planId}`);
+    return this.toPlan(plan);
+  }
+
+  // Catalog order follows planIds; plans left out keep their order after them
+  static async reorderPlans(planIds, { adminId }) {
+    if (!Array.isArray(planIds) || planIds.length === 0 || new Set(planIds).size !== planIds.length) {
+      throw new Error('Plan order must be a list of distinct plan IDs');
+    }
+
+    const db = getDB();
+    await withTransaction(async (session) => {
+      const docs = await db.collection('plans').find({}, { session, projection: { position: 1 } }).sort({ position: 1, _id: 1 }).toArray();
+      const known = new Set(docs.map(doc => doc._id));
+      const unknown = planIds.find(id => !known.has(id));
+      if (unknown) {
+        throw new Error(`Plan ${unknown} not found`);
+      }
+
+      const ordered = [...planIds, ...docs.map(doc => doc._id).filter(id => !planIds.includes(id))];
+      await db.collection('plans').bulkWrite(ordered.map((id, position) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { position } } }
+      })), { session });
+    });
+
+    this.invalidateCache();
+    console.log(`[INFO] Admin ${adminId} reordered plans`);
+    return this.getCatalog({ includeArchived: true });
+  }
+}
+
+module.exports = PlanService;
\ No newline at end of file
@@ -0,0 +1,95 @@
+// services/productService.js - Game servers sold in the store
+// Products are configured in plans/products.json. Each has a URL slug (its store
+// lives at /<slug>/subscription), a display name, branding for the store page and
+// optional Discord channel overrides. Plans name their product in a "product"
+// field; plans, subscriptions and gifts from before products belong to the
+// default product (minecraft).
+const fs = require('fs').promises;
+const path = require('path');
+
+const PRODUCTS_PATH = path.join(__dirname, '../plans/products.json');
+
+const DEFAULT_PRODUCT = 'minecraft';
+const SLUG_PATTERN = /^[a-z0-9-]{2,32}$/;
+const DEFAULT_LOGO = '/images/logo.png';
+
+// Channel kinds and the environment variables used when a product doesn't set
+// its own. Each kind falls back along its list, product channels first.
+const CHANNEL_ENV = {
+  purchase: 'DISCORD_PURCHASE_CHANNEL_ID',
+  transaction: 'DISCORD_TRANSACTION_CHANNEL_ID',
+  expiry: 'DISCORD_EXPIRY_CHANNEL_ID',
+  refund: 'DISCORD_REFUND_CHANNEL_ID',
+  warning: 'DISCORD_WARNING_CHANNEL_ID'
+};
+const CHANNEL_FALLBACKS = {
+  purchase: ['purchase'],
+  transaction: ['transaction'],
+  expiry: ['expiry'],
+  refund: ['refund', 'purchase'],
+  warning: ['warning', 'expiry']
+};
+
+let productsCache = null;
+let productsCacheTime = null;
+
+const toProduct = (product) => ({
+  slug: product.slug,
+  name: product.name || product.slug,
+  branding: {
+    tagline: null,
+    ...product.branding,
+    logo: (product.branding && product.branding.logo) || DEFAULT_LOGO
+  },
+  channels: product.channels || {}
+});
+
+// Used when plans/products.json is missing, so the store keeps working as before
+const DEFAULT_PRODUCTS = [toProduct({ slug: DEFAULT_PRODUCT, name: 'Minecraft' })];
+
+class ProductService {
+  static async getProducts() {
+    try {
+      const stats = await fs.stat(PRODUCTS_PATH);
+      if (!productsCache || !productsCacheTime || stats.mtime > productsCacheTime) {
+        const data = JSON.parse(await fs.readFile(PRODUCTS_PATH, 'utf8'));
+        const products = data
+          .filter((product) => {
+            if (product && typeof product.slug === 'string' && SLUG_PATTERN.test(product.slug)) return true;
+            console.error(`[ERROR] Ignoring product with invalid slug ${JSON.stringify(product && product.slug)}`);
+            return false;
+          })
+          .map(toProduct);
+        productsCache = products.length > 0 ? products : DEFAULT_PRODUCTS;
+        productsCacheTime = stats.mtime;
+        console.log('[INFO] Products cache updated');
+      }
+      return productsCache;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[ERROR] Failed to load products:', error);
+      }
+      return productsCache || DEFAULT_PRODUCTS;
+    }
+  }
+
+  // The product with this slug, or null
+  static async getProduct(slug) {
+    const products = await this.getProducts();
+    return products.find(product => product.slug === slug) || null;
+  }
+
+  // Discord channel for a kind of notification about a product's subscriptions
+  static async getChannelId(slug, kind) {
+    const product = await this.getProduct(slug || DEFAULT_PRODUCT);
+    const kinds = CHANNEL_FALLBACKS[kind] || [kind];
+
+    const productChannel = product && kinds.map(name => product.channels[name]).find(Boolean);
+    return productChannel || kinds.map(name => process.env[CHANNEL_ENV[name]]).find(Boolean) || null;
+  }
+}
+
+ProductService.DEFAULT_PRODUCT = DEFAULT_PRODUCT;
+ProductService.SLUG_PATTERN = SLUG_PATTERN;
+
+module.exports = ProductService;
\ No newline at end of file
@@ -0,0 +1,285 @@
+// services/promoCodeService.js - Promo codes applied at checkout
+// Codes live in promo_codes; every use is recorded in promo_redemptions inside
+// the purchase transaction, so usage limits hold under concurrent checkouts.
+const { getDB } = require('../config/mongodb');
+const Money = require('../utils/money');
+
+const BENEFIT_TYPES = ['percent', 'fixed', 'free_days'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+class PromoCodeService {
+  static normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  // Validate admin input and build the promo_codes document
+  static buildPromoCode(input, createdBy) {
+    const code = this.normalizeCode(input.code);
+    if (!CODE_PATTERN.test(code)) {
+      throw new Error('Promo code must be 3-32 characters of A-Z, 0-9, _ or -');
+    }
+
+    const benefit = input.benefit || {};
+    if (!BENEFIT_TYPES.includes(benefit.type)) {
+      throw new Error(`Promo benefit type must be one of: ${BENEFIT_TYPES.join(', ')}`);
+    }
+
+    let benefitValue;
+    if (benefit.type === 'percent') {
+      benefitValue = Number(benefit.value);
+      if (!(benefitValue > 0 && benefitValue <= 100)) {
+        throw new Error('Percent benefit must be between 0 and 100');
+      }
+    } else if (benefit.type === 'fixed') {
+      benefitValue = Money.parse(benefit.value);
+      if (benefitValue === null || benefitValue <= 0) {
+        throw new Error('Fixed benefit must be a positive VV amount');
+      }
+      benefitValue = Money.toDecimal128(benefitValue);
+    } else {
+      benefitValue = Number(benefit.value);
+      if (!Number.isInteger(benefitValue) || benefitValue <= 0) {
+        throw new Error('Free days benefit must be a positive whole number of days');
+      }
+    }
+
+    const parseLimit = (value, name) => {
+      if (value === undefined || value === null || value === '') return null;
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error(`${name} must be a positive whole number`);
+      }
+      return limit;
+    };
+
+    const parseDate = (value, name) => {
+      if (!value) return null;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a valid date`);
+      }
+      return date;
+    };
+
+    const startsAt = parseDate(input.starts_at, 'starts_at');
+    const endsAt = parseDate(input.ends_at, 'ends_at');
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      throw new Error('ends_at must be after starts_at');
+    }
+
+    const planIds = Array.isArray(input.plan_ids) ? input.plan_ids.filter(Boolean) : [];
+    const now = new Date();
+
+    return {
+      code,
+      description: input.description || null,
+      benefit: { type: benefit.type, value: benefitValue },
+      plan_ids: planIds.length > 0 ? planIds : null,
+      max_uses: parseLimit(input.max_uses, 'max_uses'),
+      max_uses_per_user: parseLimit(input.max_uses_per_user, 'max_uses_per_user'),
+      starts_at: startsAt,
+      ends_at: endsAt,
+      first_purchase_only: input.first_purchase_only === true,
+      active: true,
+      uses_count: 0,
+      created_by: createdBy,
+      created_at: now,
+      updated_at: now
+    };
+  }
+
+  static async createPromoCode(input, createdBy) {
+    const promo = this.buildPromoCode(input, createdBy);
+
+    try {
+      const result = await getDB().collection('promo_codes').insertOne(promo);
+      return { ...promo, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Promo code already exists');
+      }
+      throw error;
+    }
+  }
+
+  // Discount (micro-VV) and bonus days a promo gives on a plan priced at `price`
+  static calculateBenefit(promo, price) {
+    const { type, value } = promo.benefit;
+
+    if (type === 'percent') {
+      return { discountAmount: Money.percentOf(price, value), freeDays: 0 };
+    }
+    if (type === 'fixed') {
+      return { discountAmount: Math.min(price, Money.fromDb(value)), freeDays: 0 };
+    }
+    return { discountAmount: 0, freeDays: value };
+  }
+
+  // Check every rule without claiming a use (checkout quotes). Throws an Error
+  // starting with "Promo code" when it can't be used.
+  static async validate(code, { userId, plan, price, session, now = new Date() }) {
+    const db = getDB();
+    const normalized = this.normalizeCode(code);
+    const promo = await db.collection('promo_codes').findOne({ code: normalized }, { session });
+
+    if (!promo || !promo.active) {
+      throw new Error('Promo code is invalid');
+    }
+    if (promo.starts_at && promo.starts_at > now) {
+      throw new Error('Promo code is not active yet');
+    }
+    if (promo.ends_at && promo.ends_at <= now) {
+      throw new Error('Promo code has expired');
+    }
+    if (promo.plan_ids && !promo.plan_ids.includes(plan.id)) {
+      throw new Error('Promo code does not apply to this plan');
+    }
+
+    if (promo.first_purchase_only) {
+      // Free trials don't count as a purchase
+      const previousPurchases = await db.collection('subscriptions').countDocuments({ user_id: userId, is_trial: { $ne: true } }, { session });
+      if (previousPurchases > 0) {
+        throw new Error('Promo code is only valid on your first purchase');
+      }
+    }
+
+    if (promo.max_uses_per_user) {
+      const userUses = await db.collection('promo_redemptions').countDocuments(
+        { promo_code_id: promo._id, user_id: userId },
+        { session }
+      );
+      if (userUses >= promo.max_uses_per_user) {
+        throw new Error('Promo code has already been used the maximum number of times on your account');
+      }
+    }
+    if (promo.max_uses !== null && promo.max_uses !== undefined && promo.uses_count >= promo.max_uses) {
+      throw new Error('Promo code has reached its usage limit');
+    }
+
+    return { promo, ...this.calculateBenefit(promo, price) };
+  }
+
+  // Validate and claim one use of the code inside the purchase transaction
+  static async redeem(code, { userId, plan, price, session, now = new Date() }) {
+    const db = getDB();
+    const { promo } = await this.validate(code, { userId, plan, price, session, now });
+
+    // Claim a global use; the conditional $inc cannot exceed max_uses
+    const claimed = await db.collection('promo_codes').updateOne(
+      {
+        _id: promo._id,
+        active: true,
+        $or: [{ max_uses: null }, { $expr: { $lt: ['$uses_count', '$max_uses'] } }]
+      },
+      { $inc: { uses_count: 1 }, $set: { updated_at: now } },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new Error('Promo code has reached its usage limit');
+    }
+
+    return { promo, ...this.calculateBenefit(promo, price) };
+  }
+
+  static async recordRedemption({ promo, discountAmount, freeDays }, { userId, plan, transactionId, subscriptionId, session, now = new Date() }) {
+    await getDB().collection('promo_redemptions').insertOne({
+      promo_code_id: promo._id,
+      code: promo.code,
+      user_id: userId,
+      plan_id: plan.id,
+      transaction_id: transactionId,
+      subscription_id: subscriptionId,
+      discount_vv: Money.toDecimal128(discountAmount),
+      free_days: freeDays,
+      redeemed_at: now
+    }, { session });
+  }
+
+  // Summary stored on the transaction document
+  static describeRedemption({ promo, discountAmount, freeDays }) {
+    return {
+      promo_code_id: promo._id,
+      code: promo.code,
+      benefit_type: promo.benefit.type,
+      benefit_value: promo.benefit.value,
+      discount_vv: Money.toDecimal128(discountAmount),
+      free_days: freeDays
+    };
+  }
+
+  static formatBenefit(benefit) {
+    if (benefit.type === 'percent') return `${benefit.value}% off`;
+    if (benefit.type === 'fixed') return `${Money.format(Money.fromDb(benefit.value))} VV off`;
+    return `+${benefit.value} free day${benefit.value === 1 ? '' : 's'}`;
+  }
+
+  static async listPromoCodes() {
+    const promos = await getDB().collection('promo_codes').find({}).sort({ created_at: -1 }).toArray();
+    return promos.map(promo => ({
+      ...promo,
+      benefit: {
+        type: promo.benefit.type,
+        value: promo.benefit.type === 'fixed' ? Money.toNumber(Money.fromDb(promo.benefit.value)) : promo.benefit.value
+      },
+      formatted_benefit: this.formatBenefit(promo.benefit)
+    }));
+  }
+
+  static async getUsageStats(code) {
+    const db = getDB();
+    const promo = await db.collection('promo_codes').findOne({ code: this.normalizeCode(code) });
+    if (!promo) {
+      throw new Error('Promo code not found');
+    }
+
+    const [totals, byPlan, recent] = await Promise.all([
+      db.collection('promo_redemptions').aggregate([
+        { $match: { promo_code_id: promo._id } },
+        {
+          $group: {
+            _id: null,
+            redemptions: { $sum: 1 },
+            total_discount: { $sum: '$discount_vv' },
+            total_free_days: { $sum: '$free_days' },
+            users: { $addToSet: '$user_id' }
+          }
+        }
+      ]).toArray(),
+      db.collection('promo_redemptions').aggregate([
+        { $match: { promo_code_id: promo._id } },
+        { $group: { _id: '$plan_id', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]).toArray(),
+      db.collection('promo_redemptions').find({ promo_code_id: promo._id })
+        .sort({ redeemed_at: -1 })
+        .limit(20)
+        .toArray()
+    ]);
+
+    const summary = totals[0];
+    const totalDiscount = Money.fromDb(summary?.total_discount);
+
+    return {
+      code: promo.code,
+      active: promo.active,
+      formatted_benefit: this.formatBenefit(promo.benefit),
+      uses_count: promo.uses_count,
+      max_uses: promo.max_uses,
+      remaining_uses: promo.max_uses ? Math.max(0, promo.max_uses - promo.uses_count) : null,
+      redemptions: summary?.redemptions || 0,
+      unique_users: summary?.users.length || 0,
+      total_discount: Money.toNumber(totalDiscount),
+      formatted_total_discount: Money.format(totalDiscount),
+      total_free_days: summary?.total_free_days || 0,
+      by_plan: byPlan.map(row => ({ plan_id: row._id, count: row.count })),
+      recent_redemptions: recent.map(redemption => ({
+        ...redemption,
+        discount_vv: Money.toNumber(Money.fromDb(redemption.discount_vv))
+      }))
+    };
+  }
+}
+
+PromoCodeService.BENEFIT_TYPES = BENEFIT_TYPES;
+
+module.exports = PromoCodeService;
\ No newline at end of file
@@ -0,0 +1,122 @@
+// services/quoteService.js - Signed price quotes for the two-step checkout
+// A quote freezes what a purchase will charge and grant. Its token is the quote
+// JSON signed with HMAC-SHA256, so the purchase can trust it without storing it;
+// purchaseSubscription then rejects the quote if the checkout no longer matches.
+const crypto = require('crypto');
+const SubscriptionService = require('./subscriptionService');
+const Money = require('../utils/money');
+
+const QUOTE_TTL_SECONDS = Number(process.env.QUOTE_TTL_SECONDS) || 120;
+
+const getSecret = () => {
+  const secret = process.env.QUOTE_SIGNING_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('QUOTE_SIGNING_SECRET is not set');
+  }
+  return secret;
+};
+
+const sign = (encoded) => crypto.createHmac('sha256', getSecret()).update(encoded).digest('base64url');
+
+class QuoteService {
+  static async createQuote(userId, planId, { promoCode = null, recipientId = null, product = null } = {}) {
+    // Archived plans are needed to price changes away from them, but can't be quoted
+    const plans = await SubscriptionService.getPlans({ includeArchived: true, product });
+    const plan = plans.find((p) => p.id === planId && p.status === 'active');
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+
+    const eligibility = await SubscriptionService.checkPlanEligibility(userId, plan);
+    if (!eligibility.eligible) {
+      throw new Error(eligibility.reason);
+    }
+
+    const now = new Date();
+    const checkout = await SubscriptionService.calculateCheckout(userId, plan, plans, { promoCode, recipientId, now });
+
+    const quote = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      plan_id: plan.id,
+      promo_code: promoCode,
+      recipient_id: checkout.isGift ? recipientId : null,
+      owner_id: checkout.ownerId,
+      final_price: checkout.finalPrice,
+      change_credit: checkout.changeCredit,
+      amount_due: checkout.amountDue,
+      duration_days: checkout.durationDays,
+      is_renewal: checkout.isRenewal,
+      change_type: checkout.changeType,
+      // The subscription being renewed or changed, so a quote for one can't be
+      // spent on another
+      existing_subscription_id: checkout.existingSubscription ? String(checkout.existingSubscription._id) : null,
+      existing_expires_at: checkout.existingSubscription ? checkout.existingSubscription.expires_at.toISOString() : null,
+      expires_at: checkout.expiresAt ? checkout.expiresAt.toISOString() : null,
+      balance_after: checkout.userBalance - checkout.amountDue,
+      issued_at: now.getTime(),
+      valid_until: now.getTime() + QUOTE_TTL_SECONDS * 1000
+    };
+
+    const encoded = Buffer.from(JSON.stringify(quote)).toString('base64url');
+    return { quote, token: `${encoded}.${sign(encoded)}`, plan };
+  }
+
+  // Returns the quote payload, or throws an Error starting with "Quote"
+  static verifyToken(token, userId, now = Date.now()) {
+    const [encoded, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!encoded || !signature || extra !== undefined) {
+      throw new Error('Quote is invalid');
+    }
+
+    const expected = Buffer.from(sign(encoded));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Quote is invalid');
+    }
+
+    let quote;
+    try {
+      quote = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Quote is invalid');
+    }
+
+    if (quote.user_id !== userId) {
+      throw new Error('Quote is invalid');
+    }
+    if (quote.valid_until <= now) {
+      throw new Error('Quote has expired - please review the price and confirm again');
+    }
+    return quote;
+  }
+
+  // Quote fields as shown on the confirmation step
+  static formatQuote(quote, plan) {
+    return {
+      plan_id: quote.plan_id,
+      plan_title: plan.title,
+      duration_text: SubscriptionService.formatDuration(quote.duration_days),
+      final_price: Money.toNumber(quote.final_price),
+      formatted_final_price: SubscriptionService.formatVV(quote.final_price),
+      change_credit: Money.toNumber(quote.change_credit),
+      formatted_change_credit: SubscriptionService.formatVV(quote.change_credit),
+      amount_due: Money.toNumber(quote.amount_due),
+      formatted_amount_due: SubscriptionService.formatVV(quote.amount_due),
+      is_renewal: quote.is_renewal,
+      change_type: quote.change_type,
+      is_gift: Boolean(quote.recipient_id),
+      promo_code: quote.promo_code,
+      expires_at: quote.expires_at,
+      expires_at_ist: quote.expires_at ? SubscriptionService.formatIST(new Date(quote.expires_at)) : null,
+      balance_after: Money.toNumber(quote.balance_after),
+      formatted_balance_after: SubscriptionService.formatVV(quote.balance_after),
+      is_affordable: quote.balance_after >= 0,
+      valid_until: new Date(quote.valid_until).toISOString()
+    };
+  }
+}
+
+QuoteService.QUOTE_TTL_SECONDS = QUOTE_TTL_SECONDS;
+
+module.exports = QuoteService;
\ No newline at end of file
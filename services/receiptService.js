@@ -0,0 +1,148 @@
+// services/receiptService.js - Sequentially numbered receipts for VV transactions
+// Every transactions document gets a receipt in the same MongoDB transaction that
+// writes it. Numbers come from a counter document, so an aborted purchase gives
+// its number back and receipts stay gapless. A receipt stores a snapshot of the
+// transaction; admins can rebuild that snapshot or void the receipt.
+const { getDB, withTransaction } = require('../config/mongodb');
+
+const COUNTER_ID = 'receipts';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReceiptService {
+  static formatNumber(sequence) {
+    return `R-${String(sequence).padStart(6, '0')}`;
+  }
+
+  // Everything printed on the receipt, copied from the transaction
+  static buildSnapshot(transaction) {
+    const periodEnd = transaction.subscription_expires_at || null;
+    const periodStart = periodEnd && transaction.duration_days
+      ? new Date(periodEnd.getTime() - transaction.duration_days * DAY_MS)
+      : null;
+
+    return {
+      type: transaction.type,
+      transaction_type: transaction.transaction_type,
+      plan_id: transaction.plan_id || null,
+      plan_version: transaction.plan_version || null,
+      plan_title: transaction.plan_title || null,
+      // Original price for purchases, amount paid for refunds, signed amount for transfers
+      amount_vv: transaction.amount_vv ?? null,
+      discount_vv: transaction.discount_amount ?? null,
+      promo_code: transaction.promo_code ? transaction.promo_code.code : null,
+      final_price_vv: transaction.final_price_vv ?? null,
+      plan_change_credit_vv: transaction.plan_change_credit_vv ?? null,
+      amount_charged_vv: transaction.amount_charged_vv ?? null,
+      refund_amount_vv: transaction.refund_amount_vv ?? null,
+      cashback_reversed_vv: transaction.loyalty_cashback_reversed_vv ?? null,
+      referral_bonus_reversed_vv: transaction.referral_bonus_reversed_vv ?? null,
+      balance_before_vv: transaction.user_balance_before ?? null,
+      balance_after_vv: transaction.user_balance_after ?? null,
+      period_start: periodStart,
+      period_end: periodEnd,
+      unused_days: transaction.unused_days ?? null,
+      gift_recipient: transaction.gift ? transaction.gift.recipient_username || transaction.recipient_id : null,
+      reason: transaction.reason || null,
+      counterparty_id: transaction.counterparty_id || null,
+      note: transaction.note || null,
+      transaction_date: transaction.created_at
+    };
+  }
+
+  // Called inside the session just before the transactions are inserted: writes
+  // their receipts and stamps receipt_number onto each document.
+  static async issue(transactions, { session, now = new Date() }) {
+    const db = getDB();
+    const counter = await db.collection('counters').findOneAndUpdate(
+      { _id: COUNTER_ID },
+      { $inc: { seq: transactions.length } },
+      { session, upsert: true, returnDocument: 'after' }
+    );
+    const first = counter.seq - transactions.length + 1;
+
+    const receipts = transactions.map((transaction, index) => ({
+      number: this.formatNumber(first + index),
+      sequence: first + index,
+      transaction_id: transaction._id,
+      user_id: transaction.user_id,
+      status: 'issued',
+      version: 1,
+      snapshot: this.buildSnapshot(transaction),
+      issued_at: now
+    }));
+
+    await db.collection('receipts').insertMany(receipts, { session });
+    transactions.forEach((transaction, index) => {
+      transaction.receipt_number = receipts[index].number;
+    });
+
+    return receipts;
+  }
+
+  static async getByTransaction(transactionId) {
+    return getDB().collection('receipts').findOne({ transaction_id: transactionId });
+  }
+
+  static async getUserReceipts(userId, limit = 20) {
+    return getDB().collection('receipts')
+      .find({ user_id: userId })
+      .sort({ sequence: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  // Rebuild the snapshot from the current transaction, keeping the number.
+  // Transactions that predate receipts get their first one here.
+  static async regenerate(transactionId, { adminId }) {
+    const db = getDB();
+
+    return withTransaction(async (session) => {
+      const now = new Date();
+      const transaction = await db.collection('transactions').findOne({ _id: transactionId }, { session });
+      if (!transaction) {
+        throw new Error('Transaction not found');
+      }
+
+      const existing = await db.collection('receipts').findOne({ transaction_id: transactionId }, { session });
+      if (!existing) {
+        const [receipt] = await this.issue([transaction], { session, now });
+        await db.collection('transactions').updateOne(
+          { _id: transactionId },
+          { $set: { receipt_number: receipt.number } },
+          { session }
+        );
+        return receipt;
+      }
+      if (existing.status === 'voided') {
+        throw new Error('Receipt has been voided and cannot be regenerated');
+      }
+
+      return db.collection('receipts').findOneAndUpdate(
+        { _id: existing._id },
+        {
+          $set: { snapshot: this.buildSnapshot(transaction), regenerated_at: now, regenerated_by: adminId },
+          $inc: { version: 1 }
+        },
+        { session, returnDocument: 'after' }
+      );
+    });
+  }
+
+  static async voidReceipt(transactionId, { adminId, reason = null }) {
+    const now = new Date();
+    const receipt = await getDB().collection('receipts').findOneAndUpdate(
+      { transaction_id: transactionId, status: 'issued' },
+      { $set: { status: 'voided', voided_at: now, voided_by: adminId, void_reason: reason } },
+      { returnDocument: 'after' }
+    );
+    if (!receipt) {
+      const exists = await getDB().collection('receipts').countDocuments({ transaction_id: transactionId });
+      throw new Error(exists ? 'Receipt is already voided' : 'Receipt not found');
+    }
+
+    console.log(`[INFO] Admin ${adminId} voided receipt ${receipt.number}`);
+    return receipt;
+  }
+}
+
+module.exports = ReceiptService;
\ No newline at end of file
@@ -0,0 +1,280 @@
+// services/referralService.js - Referral codes and first-purchase referral bonuses
+// A new user who signs up through a referral link gets a referrals document
+// (keyed by their own user ID, so each account has at most one referrer). When
+// they complete their first paid purchase, both sides are credited a VV bonus
+// inside the purchase transaction. Refunding that purchase takes the bonuses
+// back in proportion to the refund.
+const crypto = require('crypto');
+const { getDB } = require('../config/mongodb');
+const LedgerService = require('./ledgerService');
+const Money = require('../utils/money');
+
+const REFERRER_BONUS = Money.parse(process.env.REFERRAL_REFERRER_BONUS_VV) ?? Money.toMicro('5');
+const REFERRED_BONUS = Money.parse(process.env.REFERRAL_REFERRED_BONUS_VV) ?? Money.toMicro('2');
+// Referred Discord accounts younger than this are treated as likely alts
+const MIN_ACCOUNT_AGE_DAYS = Number(process.env.REFERRAL_MIN_ACCOUNT_AGE_DAYS) || 30;
+// Bonuses a single referrer can earn in total
+const MAX_REWARDS_PER_REFERRER = Number(process.env.REFERRAL_MAX_REWARDS) || 25;
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = /^[A-Z0-9]{4,32}$/;
+
+class ReferralService {
+  static normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  static generateCode() {
+    return Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  // Existing users get a code the first time they look at their dashboard
+  static async getOrCreateCode(userId) {
+    const db = getDB();
+    const user = await db.collection('users').findOne({ _id: userId }, { projection: { referral_code: 1 } });
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.referral_code) {
+      return user.referral_code;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = this.generateCode();
+      try {
+        const updated = await db.collection('users').findOneAndUpdate(
+          { _id: userId, referral_code: { $exists: false } },
+          { $set: { referral_code: code } },
+          { returnDocument: 'after', projection: { referral_code: 1 } }
+        );
+        if (updated) {
+          return updated.referral_code;
+        }
+        // Another request assigned one first
+        const current = await db.collection('users').findOne({ _id: userId }, { projection: { referral_code: 1 } });
+        return current.referral_code;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new Error('Failed to generate a referral code');
+  }
+
+  // Record who referred a newly created user. Self-referrals are ignored;
+  // referrals that look like alt accounts are stored as rejected so admins can
+  // see them, and never pay out.
+  static async attachReferral(newUser, code, { accountCreatedAt = null, now = new Date() } = {}) {
+    const normalized = this.normalizeCode(code);
+    if (!CODE_PATTERN.test(normalized)) {
+      return null;
+    }
+
+    const db = getDB();
+    const referrer = await db.collection('users').findOne({ referral_code: normalized });
+    if (!referrer) {
+      console.warn(`[WARN] Unknown referral code ${normalized} used by ${newUser._id}`);
+      return null;
+    }
+    if (referrer._id === newUser._id) {
+      return null;
+    }
+
+    let rejectionReason = null;
+    if (!accountCreatedAt || now - accountCreatedAt < MIN_ACCOUNT_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      rejectionReason = 'account_too_new';
+    } else if (newUser.email && referrer.email && newUser.email.toLowerCase() === referrer.email.toLowerCase()) {
+      rejectionReason = 'same_email';
+    }
+
+    const referral = {
+      _id: newUser._id,
+      referrer_id: referrer._id,
+      referred_username: newUser.username,
+      code: normalized,
+      status: rejectionReason ? 'rejected' : 'pending',
+      rejection_reason: rejectionReason,
+      created_at: now
+    };
+
+    try {
+      await db.collection('referrals').insertOne(referral);
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    console.log(`[INFO] User ${newUser._id} signed up with referral code ${normalized} from ${referrer._id}${rejectionReason ? ` (rejected: ${rejectionReason})` : ''}`);
+    return referral;
+  }
+
+  // Called inside the purchase transaction. Pays out a pending referral the
+  // first time the referred user buys a paid plan; returns the reward or null.
+  static async rewardFirstPurchase(userId, { transactionId, session, now = new Date() }) {
+    const db = getDB();
+    const referral = await db.collection('referrals').findOne({ _id: userId, status: 'pending' }, { session });
+    if (!referral) {
+      return null;
+    }
+
+    const reject = async (reason) => {
+      await db.collection('referrals').updateOne(
+        { _id: userId, status: 'pending' },
+        { $set: { status: 'rejected', rejection_reason: reason, rejected_at: now } },
+        { session }
+      );
+      return null;
+    };
+
+    const referrer = await db.collection('users').findOne({ _id: referral.referrer_id }, { session });
+    if (!referrer) {
+      return reject('referrer_missing');
+    }
+
+    const rewarded = await db.collection('referrals').countDocuments(
+      { referrer_id: referral.referrer_id, status: 'rewarded' },
+      { session }
+    );
+    if (rewarded >= MAX_REWARDS_PER_REFERRER) {
+      return reject('referrer_limit_reached');
+    }
+
+    // The status guard makes the payout happen once even if purchases race
+    const claimed = await db.collection('referrals').updateOne(
+      { _id: userId, status: 'pending' },
+      {
+        $set: {
+          status: 'rewarded',
+          rewarded_at: now,
+          transaction_id: transactionId,
+          referrer_bonus_vv: Money.toDecimal128(REFERRER_BONUS),
+          referred_bonus_vv: Money.toDecimal128(REFERRED_BONUS)
+        }
+      },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) {
+      return null;
+    }
+
+    const ledgerOptions = {
+      from: LedgerService.SYSTEM_ACCOUNTS.REFERRALS,
+      type: 'referral_bonus',
+      reference: { collection: 'referrals', id: userId },
+      metadata: { referrer_id: referral.referrer_id, referred_id: userId, transaction_id: transactionId },
+      session
+    };
+    if (REFERRER_BONUS > 0) {
+      await LedgerService.credit(referral.referrer_id, REFERRER_BONUS, ledgerOptions);
+    }
+    if (REFERRED_BONUS > 0) {
+      await LedgerService.credit(userId, REFERRED_BONUS, ledgerOptions);
+    }
+
+    return {
+      referrerId: referral.referrer_id,
+      referredId: userId,
+      referrerBonus: REFERRER_BONUS,
+      referredBonus: REFERRED_BONUS
+    };
+  }
+
+  // Called inside the cancel transaction when `purchase` (a transaction that paid
+  // a referral reward) is refunded. Takes back each bonus in the proportion
+  // refundAmount / totalPaid. The bonuses may already be spent, so balances can
+  // go negative. Returns { referrerReversed, referredReversed } in micro-VV.
+  static async reverseReward(purchase, { refundAmount, totalPaid, refundTransactionId, createdBy, session, now = new Date() }) {
+    const reward = purchase.referral_reward;
+    const referrerReversed = Money.prorate(Money.fromDb(reward.referrer_bonus_vv), refundAmount, totalPaid);
+    const referredReversed = Money.prorate(Money.fromDb(reward.referred_bonus_vv), refundAmount, totalPaid);
+
+    // The status guard makes the reversal happen once
+    const reversed = await getDB().collection('referrals').updateOne(
+      { _id: purchase.user_id, status: 'rewarded', transaction_id: purchase._id },
+      {
+        $set: {
+          status: 'reversed',
+          reversed_at: now,
+          refund_transaction_id: refundTransactionId,
+          reversed_referrer_bonus_vv: Money.toDecimal128(referrerReversed),
+          reversed_referred_bonus_vv: Money.toDecimal128(referredReversed)
+        }
+      },
+      { session }
+    );
+    if (reversed.modifiedCount === 0) {
+      return { referrerReversed: 0, referredReversed: 0 };
+    }
+
+    const ledgerOptions = {
+      to: LedgerService.SYSTEM_ACCOUNTS.REFERRALS,
+      type: 'referral_bonus_reversal',
+      reference: { collection: 'referrals', id: purchase.user_id },
+      metadata: { referrer_id: reward.referrer_id, referred_id: purchase.user_id, refund_transaction_id: refundTransactionId },
+      createdBy,
+      session,
+      allowOverdraft: true
+    };
+    if (referrerReversed > 0) {
+      await LedgerService.debit(reward.referrer_id, referrerReversed, ledgerOptions);
+    }
+    if (referredReversed > 0) {
+      await LedgerService.debit(purchase.user_id, referredReversed, ledgerOptions);
+    }
+
+    return { referrerReversed, referredReversed };
+  }
+
+  static async getDashboard(userId, limit = 50) {
+    const db = getDB();
+    const [code, invites, [earnings]] = await Promise.all([
+      this.getOrCreateCode(userId),
+      db.collection('referrals').find({ referrer_id: userId }).sort({ created_at: -1 }).limit(limit).toArray(),
+      db.collection('referrals').aggregate([
+        { $match: { referrer_id: userId } },
+        {
+          $group: {
+            _id: null,
+            invited: { $sum: 1 },
+            rewarded: { $sum: { $cond: [{ $eq: ['$status', 'rewarded'] }, 1, 0] } },
+            pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+            earned: { $sum: { $ifNull: ['$referrer_bonus_vv', 0] } },
+            reversed: { $sum: { $ifNull: ['$reversed_referrer_bonus_vv', 0] } }
+          }
+        }
+      ]).toArray()
+    ]);
+
+    const earned = Money.fromDb(earnings?.earned) - Money.fromDb(earnings?.reversed);
+    return {
+      code,
+      invited: earnings?.invited || 0,
+      rewarded: earnings?.rewarded || 0,
+      pending: earnings?.pending || 0,
+      earned: Money.toNumber(earned),
+      formatted_earned: Money.format(earned),
+      invites: invites.map(invite => ({
+        referred_username: invite.referred_username,
+        status: invite.status,
+        created_at: invite.created_at,
+        rewarded_at: invite.rewarded_at || null,
+        formatted_bonus: invite.referrer_bonus_vv ? Money.format(Money.fromDb(invite.referrer_bonus_vv)) : null
+      }))
+    };
+  }
+
+  static getRewards() {
+    return {
+      referrer_bonus: Money.toNumber(REFERRER_BONUS),
+      formatted_referrer_bonus: Money.format(REFERRER_BONUS),
+      referred_bonus: Money.toNumber(REFERRED_BONUS),
+      formatted_referred_bonus: Money.format(REFERRED_BONUS),
+      max_rewards: MAX_REWARDS_PER_REFERRER
+    };
+  }
+}
+
+module.exports = ReferralService;
\ No newline at end of file
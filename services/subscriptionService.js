@@ -1,7 +1,15 @@
 // services/subscriptionService.js (Enhanced with decimal precision support)
-const { getDB, getClient } = require("../config/mongodb");
-const fs = require("fs").promises;
-const path = require("path");
+const { ObjectId } = require("mongodb");
+const { getDB, getClient, withTransaction } = require("../config/mongodb");
+const Money = require("../utils/money");
+const LedgerService = require("./ledgerService");
+const PromoCodeService = require("./promoCodeService");
+const ReferralService = require("./referralService");
+const LoyaltyService = require("./loyaltyService");
+const ReceiptService = require("./receiptService");
+const FraudService = require("./fraudService");
+const PlanService = require("./planService");
+const ProductService = require("./productService");
 const axios = require("axios");
 
 // Import Discord status manager
@@ -12,76 +20,273 @@ try {
     console.warn("[WARN] Discord status manager not available:", error.message);
 }
 
-// Cache for subscription plans
-let plansCache = null;
-let plansCacheTime = null;
+// Tier for plans (and legacy subscriptions) that don't declare one
+const DEFAULT_TIER = "premium";
+// Product for plans (and subscriptions) from before there was more than one game server
+const DEFAULT_PRODUCT = ProductService.DEFAULT_PRODUCT;
+
+// Discord snowflakes count milliseconds from the start of 2015
+const DISCORD_EPOCH = 1420070400000n;
+// Discord accounts younger than this can't claim a free trial
+const TRIAL_MIN_ACCOUNT_AGE_DAYS = Number(process.env.TRIAL_MIN_ACCOUNT_AGE_DAYS) || 30;
 
 class SubscriptionService {
-    // Utility function to format VV amounts with proper decimal precision
-    static formatVV(amount, options = {}) {
-        const { 
-            showDecimals = true, 
-            maxDecimals = 8, 
-            minDecimals = 0,
-            showCommas = true 
-        } = options;
-        
-        if (typeof amount !== 'number') {
-            amount = parseFloat(amount) || 0;
-        }
-        
-        let formattedNumber;
-        
-        if (showDecimals) {
-            // For very small numbers, show up to maxDecimals places
-            if (amount < 1 && amount > 0) {
-                formattedNumber = amount.toFixed(maxDecimals).replace(/\.?0+$/, '');
-            } else {
-                // For larger numbers, show minimal decimals
-                formattedNumber = amount.toFixed(Math.max(minDecimals, 2)).replace(/\.?0+$/, '');
+    // Each tier (e.g. a Minecraft rank, a Discord perk) holds its own active subscription
+    static getPlanTier(plan) {
+        return plan.tier || DEFAULT_TIER;
+    }
+
+    // Query value matching a tier; subscriptions created before tiers count as the default one
+    static tierQuery(tier) {
+        return tier === DEFAULT_TIER ? { $in: [DEFAULT_TIER, null] } : tier;
+    }
+
+    // Each product (game server) has its own plans, and its own tiers within them
+    static getPlanProduct(plan) {
+        return plan.product || DEFAULT_PRODUCT;
+    }
+
+    // Query value matching a product; subscriptions created before products count as the default one
+    static productQuery(product) {
+        return product === DEFAULT_PRODUCT ? { $in: [DEFAULT_PRODUCT, null] } : product;
+    }
+
+    // Filter for the subscriptions holding a product's tier
+    static slotFilter(plan) {
+        return {
+            product: this.productQuery(this.getPlanProduct(plan)),
+            tier: this.tierQuery(this.getPlanTier(plan)),
+        };
+    }
+
+    // Subscriptions that still grant their role: active ones, plus expired ones
+    // in their grace period (set by ExpiryManager)
+    static currentSubscriptionFilter(now = new Date()) {
+        return {
+            $or: [
+                { status: "active", expires_at: { $gt: now } },
+                { status: "grace", grace_ends_at: { $gt: now } },
+            ],
+        };
+    }
+
+    // Creation time encoded in a Discord snowflake ID, or null for a malformed ID
+    static getDiscordAccountCreatedAt(userId) {
+        try {
+            return new Date(Number((BigInt(userId) >> 22n) + DISCORD_EPOCH));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Trials go to established Discord accounts that have never had a trial or
+    // any paid subscription. Returns { eligible, reason }.
+    static async checkTrialEligibility(userId, { session, now = new Date() } = {}) {
+        const db = getDB();
+
+        const createdAt = this.getDiscordAccountCreatedAt(userId);
+        const minAgeMs = TRIAL_MIN_ACCOUNT_AGE_DAYS * 24 * 60 * 60 * 1000;
+        if (!createdAt || now - createdAt < minAgeMs) {
+            return {
+                eligible: false,
+                reason: `Free trial requires a Discord account at least ${TRIAL_MIN_ACCOUNT_AGE_DAYS} days old`,
+            };
+        }
+
+        const [previousTrial, paidSubscriptions] = await Promise.all([
+            db.collection("trial_claims").findOne({ _id: userId }, { session }),
+            db.collection("subscriptions").countDocuments({ user_id: userId, is_trial: { $ne: true } }, { session }),
+        ]);
+
+        if (previousTrial) {
+            return { eligible: false, reason: "Free trial already claimed on this account" };
+        }
+        if (paidSubscriptions > 0) {
+            return { eligible: false, reason: "Free trial is not available to members who have had a paid subscription" };
+        }
+
+        return { eligible: true, reason: null };
+    }
+
+    // Role IDs the member holds in the Discord server; [] if they aren't a member
+    static async getDiscordMemberRoles(userId) {
+        if (!process.env.DISCORD_GUILD_ID || !process.env.DISCORD_BOT_TOKEN) {
+            throw new Error(
+                "Discord configuration missing - DISCORD_GUILD_ID or DISCORD_BOT_TOKEN not set"
+            );
+        }
+
+        try {
+            const response = await axios.get(
+                `https://discord.com/api/guilds/${process.env.DISCORD_GUILD_ID}/members/${userId}`,
+                {
+                    headers: {
+                        Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}`,
+                        "Content-Type": "application/json",
+                    },
+                    timeout: 5000,
+                }
+            );
+            return response.data.roles || [];
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return [];
             }
-        } else {
-            formattedNumber = Math.round(amount).toString();
-        }
-        
-        // Add commas for thousands separator if enabled
-        if (showCommas && parseFloat(formattedNumber) >= 1000) {
-            formattedNumber = parseFloat(formattedNumber).toLocaleString('en-US', {
-                minimumFractionDigits: 0,
-                maximumFractionDigits: maxDecimals
-            });
+            throw error;
         }
-        
-        return formattedNumber;
     }
 
-    // Enhanced price calculation with decimal precision
-    static calculateFinalPrice(plan, returnObject = false) {
-        if (!plan.discount) {
-            const finalPrice = parseFloat(plan.price_vv);
-            return returnObject ? { 
-                finalPrice, 
-                originalPrice: finalPrice, 
-                discountAmount: 0,
-                formattedFinal: this.formatVV(finalPrice),
-                formattedOriginal: this.formatVV(finalPrice),
-                formattedDiscount: '0'
-            } : finalPrice;
+    // Units left of each limited-stock plan in `plans`, by plan ID. Plans without
+    // a "stock" aren't in the map.
+    static async getStockLevels(plans, { session } = {}) {
+        const limited = plans.filter((plan) => plan.stock !== undefined);
+        if (limited.length === 0) return new Map();
+
+        const sales = await getDB()
+            .collection("plan_stock")
+            .find({ _id: { $in: limited.map((plan) => plan.id) } }, { session })
+            .toArray();
+        const sold = new Map(sales.map((doc) => [doc._id, doc.sold]));
+        return new Map(limited.map((plan) => [plan.id, Math.max(0, plan.stock - (sold.get(plan.id) || 0))]));
+    }
+
+    // Refunded purchases don't count towards a plan's per-member limit
+    static countPlanPurchases(userId, planId, { session } = {}) {
+        return getDB().collection("transactions").countDocuments(
+            {
+                user_id: userId,
+                plan_id: planId,
+                type: "subscription_purchase",
+                auto_renewal: { $ne: true },
+                refunded_at: { $exists: false },
+            },
+            { session }
+        );
+    }
+
+    // Whether `userId` may buy `plan` under its eligibility rules and stock. The
+    // buyer is checked, also for gifts. Pass `memberRoles` and `stockLevels` when
+    // checking many plans at once. purchaseSubscription repeats the purchase limit
+    // and stock checks atomically inside its transaction.
+    static async checkPlanEligibility(userId, plan, { memberRoles = null, stockLevels = null, session, now = new Date() } = {}) {
+        const rules = plan.eligibility || {};
+
+        if (plan.stock !== undefined) {
+            const levels = stockLevels || await this.getStockLevels([plan], { session });
+            if (levels.get(plan.id) === 0) {
+                return { eligible: false, reason: "Plan is sold out", soldOut: true };
+            }
+        }
+
+        if (rules.min_account_age_days) {
+            const createdAt = this.getDiscordAccountCreatedAt(userId);
+            if (!createdAt || now - createdAt < rules.min_account_age_days * 24 * 60 * 60 * 1000) {
+                return {
+                    eligible: false,
+                    reason: `Not eligible - this plan requires a Discord account at least ${rules.min_account_age_days} days old`,
+                    soldOut: false,
+                };
+            }
+        }
+
+        if (rules.required_role_id) {
+            let roles = memberRoles;
+            if (!roles) {
+                try {
+                    roles = await this.getDiscordMemberRoles(userId);
+                } catch (error) {
+                    console.error(`[ERROR] Failed to fetch Discord roles of ${userId}:`, error.message);
+                    return {
+                        eligible: false,
+                        reason: "Not eligible - your Discord roles could not be checked, please try again later",
+                        soldOut: false,
+                    };
+                }
+            }
+            if (!roles.includes(rules.required_role_id)) {
+                return {
+                    eligible: false,
+                    reason: "Not eligible - this plan is only available to members with a required Discord role",
+                    soldOut: false,
+                };
+            }
         }
 
-        let finalPrice;
-        const originalPrice = parseFloat(plan.price_vv);
+        if (rules.max_purchases_per_user) {
+            const purchases = await this.countPlanPurchases(userId, plan.id, { session });
+            if (purchases >= rules.max_purchases_per_user) {
+                return { eligible: false, reason: this.purchaseLimitReason(rules.max_purchases_per_user), soldOut: false };
+            }
+        }
 
-        if (plan.discount.type === "percent") {
-            finalPrice = originalPrice * (1 - plan.discount.value / 100);
-        } else if (plan.discount.type === "fixed") {
-            finalPrice = Math.max(0, originalPrice - parseFloat(plan.discount.value));
-        } else {
-            finalPrice = originalPrice;
+        return { eligible: true, reason: null, soldOut: false };
+    }
+
+    static purchaseLimitReason(limit) {
+        return `Not eligible - this plan can only be bought ${limit === 1 ? "once" : `${limit} times`} per member`;
+    }
+
+    // Inside the purchase transaction: enforce the purchase limit and take one
+    // unit of stock. Purchases of the same member write their user document and
+    // purchases of a plan write its plan_stock document, so concurrent purchases
+    // conflict and retry against the committed counts instead of overselling.
+    // Returns the units left, or null for a plan without stock.
+    static async claimPlanPurchase(userId, plan, { takeStock, session, now }) {
+        const db = getDB();
+        const limit = plan.eligibility && plan.eligibility.max_purchases_per_user;
+
+        if (limit) {
+            if (await this.countPlanPurchases(userId, plan.id, { session }) >= limit) {
+                throw new Error(this.purchaseLimitReason(limit));
+            }
+            await db.collection("users").updateOne(
+                { _id: userId },
+                { $set: { last_limited_purchase_at: now } },
+                { session }
+            );
+        }
+
+        if (plan.stock === undefined || !takeStock) return null;
+        if (plan.stock === 0) {
+            throw new Error("Plan is sold out");
+        }
+
+        try {
+            // A sold-out document fails the filter, and the upsert then hits its _id
+            const stock = await db.collection("plan_stock").findOneAndUpdate(
+                { _id: plan.id, sold: { $lt: plan.stock } },
+                { $inc: { sold: 1 }, $set: { updated_at: now } },
+                { upsert: true, returnDocument: "after", session }
+            );
+            return plan.stock - stock.sold;
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new Error("Plan is sold out");
+            }
+            throw error;
         }
-        
+    }
+
+    // Format a micro-VV amount for display (see utils/money.js)
+    static formatVV(amount, options = {}) {
+        return Money.format(amount, options);
+    }
+
+    // Price calculation in exact micro-VV
+    static calculateFinalPrice(plan, returnObject = false) {
+        const originalPrice = Money.toMicro(plan.price_vv);
+        let finalPrice = originalPrice;
+
+        if (plan.discount) {
+            if (plan.discount.type === "percent") {
+                finalPrice = originalPrice - Money.percentOf(originalPrice, plan.discount.value);
+            } else if (plan.discount.type === "fixed") {
+                finalPrice = Math.max(0, originalPrice - Money.toMicro(plan.discount.value));
+            }
+        }
+
         const discountAmount = originalPrice - finalPrice;
-        
+
         if (returnObject) {
             return {
                 finalPrice,
@@ -92,34 +297,72 @@ class SubscriptionService {
                 formattedDiscount: this.formatVV(discountAmount)
             };
         }
-        
+
         return finalPrice;
     }
 
-    static async getPlans(forceReload = false) {
-        const plansPath = path.join(__dirname, "../plans/subscriptions.json");
+    // Resolve a plan's scheduled pricing at `at`. Plans may carry:
+    //   price_schedule: [{ id, effective_at, price_vv }]  - base price changes
+    //   sales: [{ id, label, starts_at, ends_at, discount }] - time-boxed discounts
+    // The latest effective price change replaces price_vv, and a running sale
+    // replaces the plan's regular discount.
+    static resolvePlanPricing(plan, at = new Date()) {
+        const priceChange = (plan.price_schedule || [])
+            .filter((change) => new Date(change.effective_at) <= at)
+            .sort((a, b) => new Date(b.effective_at) - new Date(a.effective_at))[0];
+        const nextPriceChange = (plan.price_schedule || [])
+            .filter((change) => new Date(change.effective_at) > at)
+            .sort((a, b) => new Date(a.effective_at) - new Date(b.effective_at))[0];
+        const sale = (plan.sales || []).find(
+            (window) => new Date(window.starts_at) <= at && at < new Date(window.ends_at)
+        );
 
-        try {
-            const stats = await fs.stat(plansPath);
-
-            // Reload if cache is empty, forced, or file is newer
-            if (
-                !plansCache ||
-                forceReload ||
-                !plansCacheTime ||
-                stats.mtime > plansCacheTime
-            ) {
-                const data = await fs.readFile(plansPath, "utf8");
-                plansCache = JSON.parse(data);
-                plansCacheTime = stats.mtime;
-                console.log("[INFO] Subscription plans cache updated");
-            }
+        const regularPlan = {
+            ...plan,
+            price_vv: priceChange ? priceChange.price_vv : plan.price_vv,
+        };
+
+        return {
+            ...regularPlan,
+            discount: sale ? sale.discount : plan.discount,
+            sale: sale
+                ? {
+                    id: sale.id,
+                    label: sale.label || "Sale",
+                    ends_at: new Date(sale.ends_at),
+                    regular_price: this.calculateFinalPrice(regularPlan),
+                }
+                : null,
+            next_price_change: nextPriceChange
+                ? {
+                    id: nextPriceChange.id,
+                    effective_at: new Date(nextPriceChange.effective_at),
+                    price: Money.toMicro(nextPriceChange.price_vv),
+                }
+                : null,
+            // Stored on transactions to show which rules produced the price
+            pricing_rule: {
+                price_change_id: priceChange ? priceChange.id : null,
+                price_effective_at: priceChange ? new Date(priceChange.effective_at) : null,
+                sale_id: sale ? sale.id : null,
+                sale_label: sale ? sale.label || "Sale" : null,
+                sale_ends_at: sale ? new Date(sale.ends_at) : null,
+            },
+        };
+    }
 
-            return plansCache;
-        } catch (error) {
-            console.error("[ERROR] Failed to load subscription plans:", error);
-            return [];
-        }
+    // Plans from the catalog (see PlanService), only those of `product` when given.
+    // Archived plans are only included when asked for: they can't be bought, but
+    // existing subscriptions still use them.
+    // Load failures are thrown rather than showing an empty store.
+    static async getPlans({ includeArchived = false, forceReload = false, product = null } = {}) {
+        const catalog = await PlanService.getCatalog({ includeArchived, forceReload });
+
+        // Pricing windows depend on the current time, so resolve on every call
+        const now = new Date();
+        return catalog
+            .filter((plan) => !product || this.getPlanProduct(plan) === product)
+            .map((plan) => this.resolvePlanPricing(plan, now));
     }
 
     static formatDuration(days) {
@@ -150,212 +393,696 @@ class SubscriptionService {
         }
     }
 
-    static async purchaseSubscription(userId, planId, idempotencyKey) {
+    // Start a new subscription period, or extend `existingSubscription` when it is
+    // on the same plan. `extra` fields are only written to new subscriptions,
+    // except `gifted_by`, which an extension by a gift also records.
+    static async grantSubscriptionPeriod({ ownerId, plan, durationDays, originalPrice, finalPrice, existingSubscription = null, extra = {}, session, now }) {
+        const db = getDB();
+        const planDurationMs = durationDays * 24 * 60 * 60 * 1000;
+
+        if (existingSubscription) {
+            // This is a renewal/extension
+            const newExpiresAt = new Date(
+                existingSubscription.expires_at.getTime() + planDurationMs
+            );
+
+            // Update existing subscription instead of creating new one
+            await db.collection("subscriptions").updateOne(
+                { _id: existingSubscription._id },
+                {
+                    $set: {
+                        expires_at: newExpiresAt,
+                        updated_at: now,
+                        last_renewed_at: now,
+                        last_renewal_plan_id: plan.id,
+                        last_renewal_plan_version_id: plan.version_id,
+                        last_renewal_amount: Money.toDecimal128(finalPrice),
+                        warning_sent: false,
+                        // Renewing during grace continues the same period without a gap
+                        status: "active",
+                        ...(extra.gifted_by ? { gifted_by: extra.gifted_by } : {}),
+                    },
+                    $inc: {
+                        renewal_count: 1,
+                        total_paid_vv: Money.toDecimal128(finalPrice),
+                    },
+                    // A new cycle starts: clear the previous cycle's auto-renew state
+                    $unset: {
+                        auto_renew_failed_at: "",
+                        auto_renew_last_error: "",
+                        low_balance_warning_for: "",
+                        grace_started_at: "",
+                        grace_ends_at: "",
+                    },
+                },
+                { session }
+            );
+
+            // Get updated subscription data
+            return {
+                isRenewal: true,
+                subscription: {
+                    ...existingSubscription,
+                    status: "active",
+                    expires_at: newExpiresAt,
+                    updated_at: now,
+                    last_renewed_at: now,
+                    warning_sent: false,
+                    ...(extra.gifted_by ? { gifted_by: extra.gifted_by } : {}),
+                    renewal_count: (existingSubscription.renewal_count || 0) + 1,
+                    total_paid_vv: Money.toDecimal128(
+                        Money.fromDb(existingSubscription.total_paid_vv ||
+                            existingSubscription.paid_price_vv) + finalPrice
+                    ),
+                },
+            };
+        }
+
+        // New subscription
+        const subscriptionData = {
+            user_id: ownerId,
+            plan_id: plan.id,
+            plan_version_id: plan.version_id,
+            plan_version: plan.version,
+            product: this.getPlanProduct(plan),
+            tier: this.getPlanTier(plan),
+            title: plan.title,
+            role_id: plan.role_id,
+            status: "active",
+            created_at: now,
+            started_at: now,
+            expires_at: new Date(now.getTime() + planDurationMs),
+            updated_at: now,
+            duration_days: durationDays,
+            original_price_vv: Money.toDecimal128(originalPrice),
+            paid_price_vv: Money.toDecimal128(finalPrice),
+            total_paid_vv: Money.toDecimal128(finalPrice),
+            discount_applied: plan.discount || null,
+            renewal_count: 0,
+            warning_sent: false,
+            ...extra,
+        };
+
+        const subscriptionResult = await db
+            .collection("subscriptions")
+            .insertOne(subscriptionData, { session });
+        subscriptionData._id = subscriptionResult.insertedId;
+
+        return { isRenewal: false, subscription: subscriptionData };
+    }
+
+    // Price a checkout of `plan`: promo, gift owner, renewal or plan change and
+    // the amount due. Writes nothing unless `claimPromo` claims the promo code,
+    // so quotes and purchases share one calculation.
+    static async calculateCheckout(userId, plan, plans, { promoCode = null, recipientId = null, autoRenewal = false, claimPromo = false, session, now = new Date() }) {
+        const db = getDB();
+        const user = await db
+            .collection("users")
+            .findOne({ _id: userId }, { session });
+
+        if (!user) {
+            throw new Error("User not found");
+        }
+
+        const userBalance = Money.fromDb(user.vv_balance);
+        const planPrice = this.calculateFinalPrice(plan);
+
+        if (plan.trial) {
+            if (recipientId && recipientId !== userId) {
+                throw new Error("Free trial plans cannot be gifted");
+            }
+            if (promoCode) {
+                throw new Error("Free trial plans cannot be combined with a promo code");
+            }
+            if (autoRenewal) {
+                throw new Error("Free trial plans cannot auto-renew");
+            }
+
+            const eligibility = await this.checkTrialEligibility(userId, { session, now });
+            if (!eligibility.eligible) {
+                throw new Error(eligibility.reason);
+            }
+        }
+
+        // Purchases claim the promo code in their transaction so usage limits hold
+        const promoOptions = { userId, plan, price: planPrice, session, now };
+        const promo = !promoCode
+            ? null
+            : claimPromo
+                ? await PromoCodeService.redeem(promoCode, promoOptions)
+                : await PromoCodeService.validate(promoCode, promoOptions);
+        const finalPrice = planPrice - (promo ? promo.discountAmount : 0);
+        const durationDays = plan.days + (promo ? promo.freeDays : 0);
+        const product = this.getPlanProduct(plan);
+        const tier = this.getPlanTier(plan);
+
+        const isGift = Boolean(recipientId) && recipientId !== userId;
+        const ownerId = isGift ? recipientId : userId;
+        const recipient = isGift
+            ? await db.collection("users").findOne({ _id: recipientId }, { session })
+            : user;
+
+        // Check for an existing active subscription in the same tier of this product
+        const existingSubscription = recipient
+            ? await db
+                .collection("subscriptions")
+                .findOne(
+                    {
+                        user_id: ownerId,
+                        ...this.slotFilter(plan),
+                        ...this.currentSubscriptionFilter(now),
+                    },
+                    { session }
+                )
+            : null;
+
+        // A paused subscription still occupies its tier until it is resumed
+        if (recipient && !existingSubscription) {
+            const pausedSubscription = await db.collection("subscriptions").findOne(
+                { user_id: ownerId, ...this.slotFilter(plan), status: "paused" },
+                { session }
+            );
+            if (pausedSubscription) {
+                throw new Error(
+                    isGift
+                        ? "Gift recipient has a paused subscription in this tier"
+                        : "Subscription in this tier is paused - resume it before purchasing"
+                );
+            }
+        }
+
+        if (autoRenewal && (!existingSubscription || existingSubscription.plan_id !== plan.id)) {
+            throw new Error("Auto-renewal target is no longer active");
+        }
+
+        // Buying a different plan while subscribed is a plan change: the
+        // unused value of the current plan is credited toward the new one
+        let changeType = null;
+        let changeCredit = 0;
+        if (existingSubscription && existingSubscription.plan_id !== plan.id) {
+            if (isGift) {
+                throw new Error("Gift recipient already has a different plan in this tier");
+            }
+            changeType = this.getPlanChangeType(existingSubscription, plan, plans);
+            changeCredit = this.calculateRefund(existingSubscription, now).refundAmount;
+        }
+        const amountDue = finalPrice - changeCredit;
+        const isRenewal = Boolean(existingSubscription) && !changeType;
+        // Gifts for members who never logged in start on redemption
+        const expiresAt = isGift && !recipient
+            ? null
+            : new Date(
+                (isRenewal ? existingSubscription.expires_at.getTime() : now.getTime()) +
+                durationDays * 24 * 60 * 60 * 1000
+            );
+
+        return {
+            user,
+            userBalance,
+            promo,
+            finalPrice,
+            durationDays,
+            product,
+            tier,
+            isGift,
+            ownerId,
+            recipient,
+            existingSubscription,
+            changeType,
+            changeCredit,
+            amountDue,
+            isRenewal,
+            expiresAt,
+        };
+    }
+
+    // `recipientId` makes the purchase a gift: the buyer pays, the recipient gets
+    // the subscription. Gifts to users who never logged in wait in `gifts` until
+    // their first login (see redeemPendingGifts). `autoRenewal` is set by
+    // ExpiryManager and only ever extends an existing subscription.
+    //
+    // `idempotencyKey` is required and scoped to the buyer. Repeating a key
+    // returns { replayed: true, transaction } for the purchase it first made
+    // instead of charging again.
+    //
+    // `product` limits the purchase to that product's plans, as the store at
+    // /<product>/subscription does.
+    static async purchaseSubscription(userId, planId, idempotencyKey, { promoCode = null, recipientId = null, autoRenewal = false, quote = null, fraudReviewed = false, product = null } = {}) {
         const db = getDB();
         const client = getClient();
-        const plans = await this.getPlans();
-        const plan = plans.find((p) => p.id === planId);
+        const plans = await this.getPlans({ includeArchived: true, product });
+        // Archived plans still renew for the members already on them
+        const plan = plans.find((p) => p.id === planId && (p.status === "active" || autoRenewal));
 
         if (!plan) {
             throw new Error("Plan not found");
         }
 
-        const finalPrice = parseFloat(this.calculateFinalPrice(plan));
+        if (typeof idempotencyKey !== "string" || !idempotencyKey) {
+            throw new Error("Idempotency key is required");
+        }
 
-        // Check for duplicate transaction
-        const existingTx = await db.collection("transactions").findOne({
-            idempotency_key: idempotencyKey,
-        });
-        if (existingTx) {
-            throw new Error("Transaction already processed");
+        // A retry whose original has committed since the route checked is a replay,
+        // not a repeat the purchase limit, stock or fraud rules should reject
+        const previousTx = await this.findPurchaseByIdempotencyKey(userId, idempotencyKey, planId);
+        if (previousTx) {
+            return { replayed: true, transaction: previousTx };
         }
 
+        // Eligibility rules and stock apply to every purchase except auto-renewals
+        if (!autoRenewal) {
+            const eligibility = await this.checkPlanEligibility(userId, plan);
+            if (!eligibility.eligible) {
+                throw new Error(eligibility.reason);
+            }
+        }
+
+        // Auto-renewals and purchases an admin approved out of review skip the fraud rules
+        if (!autoRenewal && !fraudReviewed) {
+            const expectedCharge = quote
+                ? quote.amount_due
+                : (await this.calculateCheckout(userId, plan, plans, { promoCode, recipientId })).amountDue;
+            await FraudService.screen("purchase", {
+                userId,
+                amount: Math.max(0, expectedCharge),
+                accountCreatedAt: this.getDiscordAccountCreatedAt(userId),
+                payload: { product, plan_id: planId, promo_code: promoCode, recipient_id: recipientId, idempotency_key: idempotencyKey },
+            });
+        }
+
+        const originalPrice = Money.toMicro(plan.price_vv);
         const session = client.startSession();
 
         try {
             let result;
             await session.withTransaction(async () => {
-                // Get user and check balance (handle as decimal)
-                const user = await db
-                    .collection("users")
-                    .findOne({ _id: userId }, { session });
+                // Checked inside the transaction; the unique index catches a concurrent twin
+                const existingTx = await this.findPurchaseByIdempotencyKey(userId, idempotencyKey, planId, { session });
+                if (existingTx) {
+                    result = { replayed: true, transaction: existingTx };
+                    return;
+                }
 
-                if (!user) {
-                    throw new Error("User not found");
+                const now = new Date();
+                const checkout = await this.calculateCheckout(userId, plan, plans, {
+                    promoCode,
+                    recipientId,
+                    autoRenewal,
+                    claimPromo: true,
+                    session,
+                    now,
+                });
+                const {
+                    user,
+                    userBalance,
+                    promo,
+                    finalPrice,
+                    durationDays,
+                    product,
+                    tier,
+                    isGift,
+                    ownerId,
+                    recipient,
+                    existingSubscription,
+                    changeType,
+                } = checkout;
+                let { changeCredit, amountDue } = checkout;
+
+                // A signed quote is honoured only if the checkout still prices out as quoted
+                if (quote) {
+                    if (
+                        quote.final_price !== finalPrice ||
+                        quote.duration_days !== durationDays ||
+                        quote.owner_id !== ownerId ||
+                        quote.change_type !== changeType ||
+                        quote.is_renewal !== checkout.isRenewal ||
+                        quote.existing_subscription_id !== (existingSubscription ? String(existingSubscription._id) : null) ||
+                        quote.existing_expires_at !== (existingSubscription ? existingSubscription.expires_at.toISOString() : null)
+                    ) {
+                        throw new Error("Quote is stale - the price has changed, please review and confirm again");
+                    }
+                    // Plan change credit shrinks every second; the quoted credit is honoured
+                    // for the same subscription and expiry it was calculated from
+                    changeCredit = quote.change_credit;
+                    amountDue = quote.amount_due;
                 }
 
-                const userBalance = parseFloat(user.vv_balance || 0);
                 console.log(
-                    `[DEBUG] User ${userId} balance: ${this.formatVV(userBalance)}, required: ${this.formatVV(finalPrice)}`
+                    `[DEBUG] User ${userId} balance: ${this.formatVV(userBalance)}, required: ${this.formatVV(Math.max(0, amountDue))}`
                 );
 
-                if (userBalance < finalPrice) {
+                if (userBalance < amountDue) {
                     throw new Error(
-                        `Insufficient VV balance. You have ${this.formatVV(userBalance)} VV but need ${this.formatVV(finalPrice)} VV`
+                        `Insufficient VV balance. You have ${this.formatVV(userBalance)} VV but need ${this.formatVV(amountDue)} VV`
                     );
                 }
 
-                const now = new Date();
-                const planDurationMs = plan.days * 24 * 60 * 60 * 1000;
-
-                // Check for existing active subscription
-                const existingSubscription = await db
-                    .collection("subscriptions")
-                    .findOne(
-                        {
-                            user_id: userId,
-                            status: "active",
-                            expires_at: { $gt: now },
-                        },
-                        { session }
-                    );
+                // The screen above ran outside the transaction, so purchases sent at
+                // once could each pass it; repeat the burst rules against committed ones
+                if (!autoRenewal && !fraudReviewed) {
+                    const fraudHits = await FraudService.recheckPurchase({
+                        userId,
+                        amount: Math.max(0, amountDue),
+                        session,
+                        now,
+                    });
+                    if (fraudHits.length > 0) {
+                        const error = new Error("Purchase failed the fraud rules re-check");
+                        error.fraudHits = fraudHits;
+                        error.fraudAmount = Math.max(0, amountDue);
+                        throw error;
+                    }
+                }
 
-                let isRenewal = false;
-                let newExpiresAt;
-                let subscriptionData;
-
-                if (existingSubscription) {
-                    // This is a renewal/extension
-                    isRenewal = true;
-                    newExpiresAt = new Date(
-                        existingSubscription.expires_at.getTime() + planDurationMs
-                    );
+                // Renewals extend a subscription already sold, so only new ones take stock
+                const stockRemaining = autoRenewal
+                    ? null
+                    : await this.claimPlanPurchase(userId, plan, { takeStock: !checkout.isRenewal, session, now });
+                if (stockRemaining !== null) {
+                    console.log(`[INFO] Plan ${plan.id} stock: ${stockRemaining} left`);
+                }
 
-                    // Update existing subscription instead of creating new one
+                if (changeType) {
+                    // Close the current plan; the new one starts now with its full duration
                     await db.collection("subscriptions").updateOne(
                         { _id: existingSubscription._id },
                         {
                             $set: {
-                                expires_at: newExpiresAt,
+                                status: "changed",
+                                changed_at: now,
+                                change_type: changeType,
+                                changed_to_plan_id: plan.id,
+                                change_credit_vv: Money.toDecimal128(changeCredit),
                                 updated_at: now,
-                                last_renewed_at: now,
-                                last_renewal_plan_id: plan.id,
-                                last_renewal_amount: finalPrice,
-                            },
-                            $inc: {
-                                renewal_count: 1,
-                                total_paid_vv: finalPrice,
                             },
                         },
                         { session }
                     );
+                }
 
-                    // Get updated subscription data
-                    subscriptionData = {
-                        ...existingSubscription,
-                        expires_at: newExpiresAt,
-                        updated_at: now,
-                        last_renewed_at: now,
-                        renewal_count: (existingSubscription.renewal_count || 0) + 1,
-                        total_paid_vv:
-                            parseFloat(existingSubscription.total_paid_vv ||
-                                existingSubscription.paid_price_vv ||
-                                0) + finalPrice,
-                    };
-                } else {
-                    // New subscription
-                    newExpiresAt = new Date(now.getTime() + planDurationMs);
+                const transactionId = new ObjectId();
+                let isRenewal = false;
+                let subscriptionData = null;
+                let pendingGift = null;
+
+                if (isGift && !recipient) {
+                    // Recipient has never logged in: hold the gift until their first login.
+                    // Pending gifts in one tier must share a plan so they can stack on redemption.
+                    const conflictingGift = await db.collection("gifts").findOne(
+                        { recipient_id: recipientId, ...this.slotFilter(plan), status: "pending", plan_id: { $ne: plan.id } },
+                        { session }
+                    );
+                    if (conflictingGift) {
+                        throw new Error("Gift recipient already has a different plan in this tier");
+                    }
 
-                    subscriptionData = {
-                        user_id: userId,
+                    pendingGift = {
+                        _id: new ObjectId(),
+                        buyer_id: userId,
+                        recipient_id: recipientId,
                         plan_id: plan.id,
-                        title: plan.title,
-                        role_id: plan.role_id,
-                        status: "active",
+                        product,
+                        tier,
+                        duration_days: durationDays,
+                        original_price_vv: Money.toDecimal128(originalPrice),
+                        paid_price_vv: Money.toDecimal128(finalPrice),
+                        transaction_id: transactionId,
+                        status: "pending",
                         created_at: now,
-                        started_at: now,
-                        expires_at: newExpiresAt,
-                        updated_at: now,
-                        duration_days: plan.days,
-                        original_price_vv: parseFloat(plan.price_vv),
-                        paid_price_vv: finalPrice,
-                        total_paid_vv: finalPrice,
-                        discount_applied: plan.discount || null,
-                        renewal_count: 0,
-                        warning_sent: false,
                     };
+                    if (stockRemaining !== null) {
+                        pendingGift.stock_claimed = true;
+                    }
+                    await db.collection("gifts").insertOne(pendingGift, { session });
+                } else {
+                    const extra = {};
+                    if (changeType) {
+                        extra.previous_subscription_id = existingSubscription._id;
+                        extra.previous_plan_id = existingSubscription.plan_id;
+                        extra.change_credit_vv = Money.toDecimal128(changeCredit);
+                    }
+                    if (isGift) {
+                        extra.gifted_by = userId;
+                    }
+                    if (plan.trial) {
+                        extra.is_trial = true;
+                    }
+                    // Lets a refund put the unit back
+                    if (stockRemaining !== null) {
+                        extra.stock_claimed = true;
+                    }
 
-                    const subscriptionResult = await db
-                        .collection("subscriptions")
-                        .insertOne(subscriptionData, { session });
-                    subscriptionData._id = subscriptionResult.insertedId;
+                    ({ isRenewal, subscription: subscriptionData } = await this.grantSubscriptionPeriod({
+                        ownerId,
+                        plan,
+                        durationDays,
+                        originalPrice,
+                        finalPrice,
+                        existingSubscription: changeType ? null : existingSubscription,
+                        extra,
+                        session,
+                        now,
+                    }));
                 }
 
-                // Deduct balance from user (maintain decimal precision)
-                const newBalance = userBalance - finalPrice;
-                await db.collection("users").updateOne(
-                    { _id: userId },
-                    {
-                        $set: { 
-                            vv_balance: newBalance,
-                            updated_at: now 
-                        },
+                // Charge the user through the ledger (the debit refuses to overdraw).
+                // A downgrade whose credit exceeds the new price pays out the difference.
+                const ledgerOptions = {
+                    type: changeType ? "plan_change" : isGift ? "gift_purchase" : "subscription_purchase",
+                    reference: { collection: "transactions", id: transactionId },
+                    metadata: {
+                        plan_id: plan.id,
+                        subscription_id: subscriptionData ? subscriptionData._id : null,
+                        ...(isGift ? { recipient_id: recipientId } : {}),
                     },
-                    { session }
-                );
+                    session,
+                };
+                let balanceBefore = userBalance;
+                let newBalance = userBalance;
+                if (amountDue > 0) {
+                    const { balances } = await LedgerService.debit(userId, amountDue, ledgerOptions);
+                    ({ before: balanceBefore, after: newBalance } = balances[userId]);
+                } else if (amountDue < 0) {
+                    const { balances } = await LedgerService.credit(userId, -amountDue, {
+                        ...ledgerOptions,
+                        from: LedgerService.SYSTEM_ACCOUNTS.REVENUE,
+                    });
+                    ({ before: balanceBefore, after: newBalance } = balances[userId]);
+                }
 
-                // Create transaction record with decimal support
+                // Create transaction record (amounts stored as Decimal128)
                 const transactionData = {
+                    _id: transactionId,
                     user_id: userId,
-                    subscription_id: subscriptionData._id,
+                    subscription_id: subscriptionData ? subscriptionData._id : null,
                     plan_id: plan.id,
+                    plan_version_id: plan.version_id,
+                    plan_version: plan.version,
+                    product,
                     plan_title: plan.title,
-                    amount_vv: parseFloat(plan.price_vv),
-                    final_price_vv: finalPrice,
+                    amount_vv: Money.toDecimal128(originalPrice),
+                    final_price_vv: Money.toDecimal128(finalPrice),
                     discount_applied: plan.discount || null,
-                    discount_amount: parseFloat(plan.price_vv) - finalPrice,
-                    transaction_type: isRenewal ? "renewal" : "purchase",
+                    discount_amount: Money.toDecimal128(originalPrice - finalPrice),
+                    pricing_rule: plan.pricing_rule,
+                    transaction_type: changeType || (isRenewal ? "renewal" : "purchase"),
                     created_at: now,
                     idempotency_key: idempotencyKey,
                     status: "completed",
                     type: "subscription_purchase",
-                    user_balance_before: userBalance,
-                    user_balance_after: newBalance,
-                    duration_days: plan.days,
+                    user_balance_before: Money.toDecimal128(balanceBefore),
+                    user_balance_after: Money.toDecimal128(newBalance),
+                    duration_days: durationDays,
+                    subscription_expires_at: subscriptionData ? subscriptionData.expires_at : null,
                 };
 
-                const transactionResult = await db
-                    .collection("transactions")
-                    .insertOne(transactionData, { session });
-
-                result = {
-                    success: true,
-                    finalPrice,
-                    subscription: subscriptionData,
-                    transaction: {
-                        ...transactionData,
-                        _id: transactionResult.insertedId,
-                    },
-                    isRenewal,
-                    user: user,
-                };
-            });
+                if (promo) {
+                    transactionData.promo_code = PromoCodeService.describeRedemption(promo);
+                    await PromoCodeService.recordRedemption(promo, {
+                        userId,
+                        plan,
+                        transactionId,
+                        subscriptionId: subscriptionData ? subscriptionData._id : null,
+                        session,
+                        now,
+                    });
+                }
 
-            // Immediately assign Discord role after successful purchase
-            try {
-                await this.assignDiscordRole(userId, plan.role_id);
-                console.log(
-                    `[INFO] Discord role ${plan.role_id} assigned to user ${userId}`
-                );
-            } catch (roleError) {
-                console.error(
-                    `[ERROR] Failed to assign Discord role after purchase:`,
-                    roleError
-                );
-            }
+                if (autoRenewal) {
+                    transactionData.auto_renewal = true;
+                }
 
-            // Post-transaction operations (async)
+                if (plan.trial) {
+                    // One claim per Discord account; the unique _id also stops concurrent claims
+                    try {
+                        await db.collection("trial_claims").insertOne(
+                            {
+                                _id: userId,
+                                plan_id: plan.id,
+                                subscription_id: subscriptionData._id,
+                                transaction_id: transactionId,
+                                claimed_at: now,
+                            },
+                            { session }
+                        );
+                    } catch (claimError) {
+                        if (claimError.code === 11000) {
+                            throw new Error("Free trial already claimed on this account");
+                        }
+                        throw claimError;
+                    }
+                    transactionData.is_trial = true;
+                } else if (subscriptionData) {
+                    // The owner's first paid subscription after a trial converts it
+                    const converted = await db.collection("subscriptions").updateOne(
+                        { user_id: ownerId, is_trial: true, converted_at: { $exists: false } },
+                        {
+                            $set: {
+                                converted_at: now,
+                                converted_to_plan_id: plan.id,
+                                conversion_transaction_id: transactionId,
+                            },
+                        },
+                        { session }
+                    );
+                    if (converted.modifiedCount > 0) {
+                        transactionData.trial_conversion = true;
+                    }
+                }
+
+                // A referred member's first paid purchase pays both referral bonuses
+                const referralReward = !plan.trial && finalPrice > 0
+                    ? await ReferralService.rewardFirstPurchase(userId, { transactionId, session, now })
+                    : null;
+                if (referralReward) {
+                    transactionData.referral_reward = {
+                        referrer_id: referralReward.referrerId,
+                        referrer_bonus_vv: Money.toDecimal128(referralReward.referrerBonus),
+                        referred_bonus_vv: Money.toDecimal128(referralReward.referredBonus),
+                    };
+                }
+
+                // Cashback is paid at the buyer's tier before this purchase counts toward the next one
+                const cashback = await LoyaltyService.applyCashback(userId, amountDue, { transactionId, session });
+                if (cashback) {
+                    transactionData.loyalty_cashback = {
+                        tier_id: cashback.tier.id,
+                        percent: cashback.percent,
+                        amount_vv: Money.toDecimal128(cashback.amount),
+                    };
+                }
+
+                if (isGift) {
+                    transactionData.buyer_id = userId;
+                    transactionData.recipient_id = recipientId;
+                    transactionData.gift = {
+                        recipient_username: recipient ? recipient.username : null,
+                        status: pendingGift ? "pending" : "delivered",
+                        gift_id: pendingGift ? pendingGift._id : null,
+                    };
+                }
+
+                if (changeType) {
+                    transactionData.previous_plan_id = existingSubscription.plan_id;
+                    transactionData.previous_subscription_id = existingSubscription._id;
+                    transactionData.plan_change_credit_vv = Money.toDecimal128(changeCredit);
+                    transactionData.amount_charged_vv = Money.toDecimal128(amountDue);
+                }
+
+                await ReceiptService.issue([transactionData], { session, now });
+                const transactionResult = await db
+                    .collection("transactions")
+                    .insertOne(transactionData, { session });
+
+                // Tiers follow what the buyer spent, gifts included, so this runs
+                // once the purchase is recorded
+                const tierUp = !plan.trial
+                    ? await LoyaltyService.evaluateTier(userId, { session, now })
+                    : null;
+
+                result = {
+                    success: true,
+                    finalPrice,
+                    subscription: subscriptionData,
+                    transaction: {
+                        ...transactionData,
+                        _id: transactionResult.insertedId,
+                    },
+                    isRenewal,
+                    changeType,
+                    changeCredit,
+                    amountDue,
+                    previousSubscription: changeType ? existingSubscription : null,
+                    isGift,
+                    pendingGift,
+                    recipient,
+                    referralReward,
+                    cashback,
+                    tierUp,
+                    user: user,
+                };
+            });
+
+            if (result.replayed) {
+                console.log(`[INFO] Replayed purchase ${result.transaction._id} for user ${userId} (idempotency key reused)`);
+                return result;
+            }
+
+            // On a plan change, swap the old role for the new one
+            const previousRoleId = result.previousSubscription?.role_id;
+            if (previousRoleId && previousRoleId !== plan.role_id) {
+                await this.releaseDiscordRole(userId, previousRoleId);
+            }
+
+            // Immediately assign Discord role to the subscription owner (gift
+            // recipients who never logged in get theirs on redemption)
+            const ownerId = result.isGift ? recipientId : userId;
+            if (!result.pendingGift) {
+                try {
+                    await this.assignDiscordRole(ownerId, plan.role_id);
+                    console.log(
+                        `[INFO] Discord role ${plan.role_id} assigned to user ${ownerId}`
+                    );
+                } catch (roleError) {
+                    console.error(
+                        `[ERROR] Failed to assign Discord role after purchase:`,
+                        roleError
+                    );
+                }
+            }
+
+            if (result.tierUp) {
+                await this.assignLoyaltyRole(userId, result.tierUp.tier);
+            }
+
+            // Post-transaction operations (async)
             setImmediate(async () => {
                 try {
                     // Send purchase notification to Discord channel
-                    await this.sendPurchaseChannelMessage(
-                        result.user,
-                        plan,
-                        result.subscription.created_at ||
-                        result.subscription.last_renewed_at,
-                        result.subscription.expires_at,
-                        result.isRenewal
-                    );
+                    if (result.subscription) {
+                        await this.sendPurchaseChannelMessage(
+                            result.isGift ? result.recipient : result.user,
+                            plan,
+                            result.subscription.created_at ||
+                            result.subscription.last_renewed_at,
+                            result.subscription.expires_at,
+                            result.isRenewal,
+                            result.changeType,
+                            result.isGift ? result.user : null
+                        );
+                    }
+
+                    if (result.isGift) {
+                        await this.sendGiftDirectMessages(result.user, ownerId, plan, result.subscription);
+                    }
+
+                    if (result.referralReward) {
+                        await this.sendReferralDirectMessages(result.user, result.referralReward);
+                    }
+
+                    if (result.tierUp) {
+                        await this.sendLoyaltyTierChannelMessage(result.user, result.tierUp);
+                    }
 
                     // Send transaction record to transactions channel
                     await this.sendTransactionChannelMessage(
@@ -365,12 +1092,12 @@ class SubscriptionService {
                     );
 
                     console.log(
-                        `[INFO] User ${result.user.username} (${userId}) ${result.isRenewal ? "renewed" : "purchased"
+                        `[INFO] User ${result.user.username} (${userId}) ${result.isGift ? `gifted ${ownerId}` : result.changeType ? `${result.changeType}d to` : result.isRenewal ? "renewed" : "purchased"
                         } subscription ${plan.id} for ${this.formatVV(result.finalPrice)} VV`
                     );
 
                     // Update Discord bot status
-                    if (discordStatusManager && !result.isRenewal) {
+                    if (discordStatusManager && result.subscription && !result.isRenewal) {
                         await discordStatusManager.forceStatusUpdate();
                         console.log(
                             `[INFO] Discord bot status updated after new subscription`
@@ -386,6 +1113,23 @@ class SubscriptionService {
 
             return result;
         } catch (error) {
+            // A concurrent request with the same key committed first
+            if (error.code === 11000 && error.keyPattern?.idempotency_key) {
+                const existingTx = await this.findPurchaseByIdempotencyKey(userId, idempotencyKey, planId);
+                if (existingTx) {
+                    return { replayed: true, transaction: existingTx };
+                }
+            }
+
+            // Recorded now that the transaction has aborted; this throws the block or hold
+            if (error.fraudHits) {
+                await FraudService.recordHits("purchase", error.fraudHits, {
+                    userId,
+                    amount: error.fraudAmount,
+                    payload: { product, plan_id: planId, promo_code: promoCode, recipient_id: recipientId, idempotency_key: idempotencyKey },
+                });
+            }
+
             console.error(
                 `[ERROR] Purchase transaction failed for user ${userId}:`,
                 error
@@ -396,55 +1140,231 @@ class SubscriptionService {
         }
     }
 
-    static async getUserActiveSubscription(userId) {
+    // The purchase a buyer already made with this idempotency key, if any. A key
+    // reused for a different plan is an error rather than a replay.
+    static async findPurchaseByIdempotencyKey(userId, idempotencyKey, planId = null, { session } = {}) {
+        const transaction = await getDB().collection("transactions").findOne(
+            { user_id: userId, idempotency_key: idempotencyKey },
+            { session }
+        );
+        if (transaction && planId && transaction.plan_id !== planId) {
+            throw new Error("Idempotency key was already used for a different purchase");
+        }
+        return transaction;
+    }
+
+    // Resolve a gift recipient given as a Discord user ID or a known username.
+    // Returns { userId, user } where user is null if they never logged in.
+    static async resolveGiftRecipient(recipient) {
+        const db = getDB();
+        const value = String(recipient || "").trim().replace(/^@/, "");
+        if (!value) {
+            throw new Error("Gift recipient is required");
+        }
+
+        if (!/^\d{17,20}$/.test(value)) {
+            const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            const user = await db.collection("users").findOne({
+                username: { $regex: `^${escaped}$`, $options: "i" },
+            });
+            if (!user) {
+                throw new Error("Gift recipient not found");
+            }
+            return { userId: user._id, user };
+        }
+
+        const user = await db.collection("users").findOne({ _id: value });
+        if (user) {
+            return { userId: value, user };
+        }
+
+        // Unknown ID: make sure it is a member of the server before holding a gift for it
+        if (process.env.DISCORD_GUILD_ID && process.env.DISCORD_BOT_TOKEN) {
+            try {
+                await axios.get(
+                    `https://discord.com/api/guilds/${process.env.DISCORD_GUILD_ID}/members/${value}`,
+                    {
+                        headers: {
+                            Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}`,
+                            "Content-Type": "application/json",
+                        },
+                        timeout: 5000,
+                    }
+                );
+            } catch (error) {
+                if (error.response?.status === 404) {
+                    throw new Error("Gift recipient not found in the Discord server");
+                }
+                throw error;
+            }
+        }
+
+        return { userId: value, user: null };
+    }
+
+    // Deliver gifts bought for a user before they ever logged in. Called on
+    // login; a gift stays pending while the user holds a different plan in its tier.
+    static async redeemPendingGifts(userId) {
+        const db = getDB();
+        const pendingGifts = await db
+            .collection("gifts")
+            .find({ recipient_id: userId, status: "pending" })
+            .sort({ created_at: 1 })
+            .toArray();
+
+        if (pendingGifts.length === 0) return [];
+
+        const plans = await this.getPlans({ includeArchived: true });
+        const redeemed = [];
+
+        for (const gift of pendingGifts) {
+            const plan = plans.find((p) => p.id === gift.plan_id);
+            if (!plan) {
+                console.warn(`[WARN] Pending gift ${gift._id} references unknown plan ${gift.plan_id}`);
+                continue;
+            }
+
+            try {
+                const result = await withTransaction(async (session) => {
+                    const now = new Date();
+                    const existingSubscription = await db.collection("subscriptions").findOne(
+                        {
+                            user_id: userId,
+                            ...this.slotFilter(plan),
+                            ...this.currentSubscriptionFilter(now),
+                        },
+                        { session }
+                    );
+                    if (existingSubscription && existingSubscription.plan_id !== plan.id) {
+                        return null;
+                    }
+
+                    const claimed = await db.collection("gifts").updateOne(
+                        { _id: gift._id, status: "pending" },
+                        { $set: { status: "redeemed", redeemed_at: now } },
+                        { session }
+                    );
+                    if (claimed.modifiedCount === 0) return null;
+
+                    const grant = await this.grantSubscriptionPeriod({
+                        ownerId: userId,
+                        plan,
+                        durationDays: gift.duration_days,
+                        originalPrice: Money.fromDb(gift.original_price_vv),
+                        finalPrice: Money.fromDb(gift.paid_price_vv),
+                        existingSubscription,
+                        extra: {
+                            gifted_by: gift.buyer_id,
+                            gift_id: gift._id,
+                            ...(gift.stock_claimed ? { stock_claimed: true } : {}),
+                        },
+                        session,
+                        now,
+                    });
+
+                    await db.collection("gifts").updateOne(
+                        { _id: gift._id },
+                        { $set: { subscription_id: grant.subscription._id } },
+                        { session }
+                    );
+                    await db.collection("transactions").updateOne(
+                        { _id: gift.transaction_id },
+                        { $set: { subscription_id: grant.subscription._id, "gift.status": "redeemed" } },
+                        { session }
+                    );
+
+                    return grant;
+                });
+
+                if (!result) continue;
+                redeemed.push(result.subscription);
+
+                try {
+                    await this.assignDiscordRole(userId, plan.role_id);
+                } catch (roleError) {
+                    console.error(`[ERROR] Failed to assign Discord role for redeemed gift ${gift._id}:`, roleError);
+                }
+
+                setImmediate(async () => {
+                    try {
+                        const [recipient, buyer] = await Promise.all([
+                            db.collection("users").findOne({ _id: userId }),
+                            db.collection("users").findOne({ _id: gift.buyer_id }),
+                        ]);
+                        await this.sendPurchaseChannelMessage(
+                            recipient,
+                            plan,
+                            result.subscription.created_at || result.subscription.last_renewed_at,
+                            result.subscription.expires_at,
+                            result.isRenewal,
+                            null,
+                            buyer || { _id: gift.buyer_id, username: gift.buyer_id }
+                        );
+
+                        if (discordStatusManager && !result.isRenewal) {
+                            await discordStatusManager.forceStatusUpdate();
+                        }
+                    } catch (error) {
+                        console.error(`[ERROR] Post-redemption operations failed for gift ${gift._id}:`, error);
+                    }
+                });
+
+                console.log(`[INFO] Redeemed gift ${gift._id} (${plan.id}) from ${gift.buyer_id} for user ${userId}`);
+            } catch (error) {
+                console.error(`[ERROR] Failed to redeem gift ${gift._id} for user ${userId}:`, error);
+            }
+        }
+
+        return redeemed;
+    }
+
+    // All current subscriptions of a user (one per tier, including those in
+    // grace), soonest expiry first
+    static async getUserActiveSubscriptions(userId) {
+        const db = getDB();
+        const now = new Date();
+
+        try {
+            const [subscriptions, plans] = await Promise.all([
+                db
+                    .collection("subscriptions")
+                    .find({
+                        user_id: userId,
+                        ...this.currentSubscriptionFilter(now),
+                    })
+                    .sort({ expires_at: 1 })
+                    .toArray(),
+                this.getPlans({ includeArchived: true }),
+            ]);
+
+            return subscriptions.map((subscription) => ({
+                ...this.describeActiveSubscription(subscription, now),
+                pause_allowance: this.getPauseAllowance(subscription, plans),
+            }));
+        } catch (error) {
+            console.error(
+                `[ERROR] Failed to get active subscriptions for user ${userId}:`,
+                error
+            );
+            return [];
+        }
+    }
+
+    static async getUserActiveSubscription(userId, tier = DEFAULT_TIER, product = DEFAULT_PRODUCT) {
         const db = getDB();
         const now = new Date();
 
         try {
             const subscription = await db.collection("subscriptions").findOne({
                 user_id: userId,
-                status: "active",
-                expires_at: { $gt: now },
+                product: this.productQuery(product),
+                tier: this.tierQuery(tier),
+                ...this.currentSubscriptionFilter(now),
             });
 
             if (!subscription) return null;
 
-            const timeLeft = subscription.expires_at - now;
-            const daysLeft = Math.floor(timeLeft / (24 * 60 * 60 * 1000));
-            const hoursLeft = Math.floor(
-                (timeLeft % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000)
-            );
-            const monthsLeft = Math.floor(daysLeft / 30);
-
-            const totalDuration = subscription.expires_at - subscription.started_at;
-            const elapsed = now - subscription.started_at;
-            const progressPercent = Math.min(
-                100,
-                Math.max(0, (elapsed / totalDuration) * 100)
-            );
-
-            return {
-                ...subscription,
-                is_active: true,
-                purchased_at_ist: this.formatIST(subscription.created_at),
-                expires_at_ist: this.formatIST(subscription.expires_at),
-                duration_text: this.formatDuration(subscription.duration_days),
-                time_left: {
-                    months: monthsLeft,
-                    days: daysLeft % 30,
-                    hours: hoursLeft,
-                    total_days: daysLeft,
-                },
-                progress_percent: Math.round(progressPercent),
-                renewal_info: {
-                    count: subscription.renewal_count || 0,
-                    last_renewed: subscription.last_renewed_at
-                        ? this.formatIST(subscription.last_renewed_at)
-                        : null,
-                    total_spent: parseFloat(subscription.total_paid_vv || subscription.paid_price_vv),
-                    formatted_total_spent: this.formatVV(subscription.total_paid_vv || subscription.paid_price_vv),
-                },
-            };
+            return this.describeActiveSubscription(subscription, now);
         } catch (error) {
             console.error(
                 `[ERROR] Failed to get active subscription for user ${userId}:`,
@@ -454,6 +1374,58 @@ class SubscriptionService {
         }
     }
 
+    // Time left, progress and spend details shown for an active subscription
+    static describeActiveSubscription(subscription, now = new Date()) {
+        const inGrace = subscription.status === "grace";
+        const timeLeft = Math.max(0, subscription.expires_at - now);
+        const daysLeft = Math.floor(timeLeft / (24 * 60 * 60 * 1000));
+        const hoursLeft = Math.floor(
+            (timeLeft % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000)
+        );
+        const monthsLeft = Math.floor(daysLeft / 30);
+
+        const pausedMs = subscription.total_paused_ms || 0;
+        const totalDuration = subscription.expires_at - subscription.started_at - pausedMs;
+        const elapsed = now - subscription.started_at - pausedMs;
+        const progressPercent = Math.min(
+            100,
+            Math.max(0, (elapsed / totalDuration) * 100)
+        );
+        const totalSpent = Money.fromDb(subscription.total_paid_vv || subscription.paid_price_vv);
+        const { refundAmount } = this.calculateRefund(subscription, now);
+
+        return {
+            ...subscription,
+            product: subscription.product || DEFAULT_PRODUCT,
+            tier: subscription.tier || DEFAULT_TIER,
+            is_active: true,
+            in_grace: inGrace,
+            grace_ends_at_ist: inGrace ? this.formatIST(subscription.grace_ends_at) : null,
+            purchased_at_ist: this.formatIST(subscription.created_at),
+            expires_at_ist: this.formatIST(subscription.expires_at),
+            duration_text: this.formatDuration(subscription.duration_days),
+            time_left: {
+                months: monthsLeft,
+                days: daysLeft % 30,
+                hours: hoursLeft,
+                total_days: daysLeft,
+            },
+            progress_percent: Math.round(progressPercent),
+            renewal_info: {
+                count: subscription.renewal_count || 0,
+                last_renewed: subscription.last_renewed_at
+                    ? this.formatIST(subscription.last_renewed_at)
+                    : null,
+                total_spent: Money.toNumber(totalSpent),
+                formatted_total_spent: this.formatVV(totalSpent),
+            },
+            refund_preview: {
+                amount: Money.toNumber(refundAmount),
+                formatted_amount: this.formatVV(refundAmount),
+            },
+        };
+    }
+
     // Method to handle subscription expiry (called by ExpiryManager)
     static async handleSubscriptionExpiry(subscriptionId) {
         try {
@@ -472,19 +1444,508 @@ class SubscriptionService {
                 }
             );
 
-            // Update Discord bot status to reflect reduced subscription count
+            // Update Discord bot status to reflect reduced subscription count
+            if (discordStatusManager) {
+                await discordStatusManager.forceStatusUpdate();
+                console.log(
+                    `[INFO] Discord bot status updated after subscription expiry`
+                );
+            }
+        } catch (error) {
+            console.error(
+                `[ERROR] Failed to handle subscription expiry for ${subscriptionId}:`,
+                error
+            );
+            throw error;
+        }
+    }
+
+    // Opt a subscription in or out of auto-renewal from VV balance
+    static async setAutoRenew(subscriptionId, userId, enabled) {
+        const db = getDB();
+        const now = new Date();
+
+        const result = await db.collection("subscriptions").findOneAndUpdate(
+            { _id: subscriptionId, user_id: userId, status: "active", is_trial: { $ne: true } },
+            {
+                $set: { auto_renew: enabled, auto_renew_updated_at: now, updated_at: now },
+                $unset: { auto_renew_failed_at: "", auto_renew_last_error: "" },
+            },
+            { returnDocument: "after" }
+        );
+
+        if (!result) {
+            const trial = await db.collection("subscriptions").countDocuments({ _id: subscriptionId, is_trial: true });
+            throw new Error(trial ? "Free trial plans cannot auto-renew" : "Subscription not found or not active");
+        }
+
+        console.log(
+            `[INFO] Auto-renew ${enabled ? "enabled" : "disabled"} for subscription ${subscriptionId} (user ${userId})`
+        );
+        return result;
+    }
+
+    // Trials claimed, still running, and converted into a paid subscription
+    static async getTrialStats(now = new Date()) {
+        const db = getDB();
+        const [claimed, active, converted] = await Promise.all([
+            db.collection("trial_claims").countDocuments({}),
+            db.collection("subscriptions").countDocuments({ is_trial: true, ...this.currentSubscriptionFilter(now) }),
+            db.collection("subscriptions").countDocuments({ is_trial: true, converted_at: { $exists: true } }),
+        ]);
+
+        return {
+            trials_claimed: claimed,
+            active_trials: active,
+            trial_conversions: converted,
+            conversion_rate_percent: claimed > 0 ? Math.round((converted / claimed) * 1000) / 10 : 0,
+        };
+    }
+
+    // Deterministic per renewal cycle: retries of the same cycle can never charge twice
+    static getAutoRenewIdempotencyKey(subscription) {
+        return `auto-renew:${subscription._id}:${subscription.expires_at.getTime()}`;
+    }
+
+    // Upgrade when the new plan costs more than the current one, otherwise downgrade
+    static getPlanChangeType(subscription, newPlan, plans) {
+        const currentPlan = plans.find((p) => p.id === subscription.plan_id);
+        const currentPrice = currentPlan
+            ? this.calculateFinalPrice(currentPlan)
+            : Money.fromDb(subscription.paid_price_vv);
+
+        return this.calculateFinalPrice(newPlan) >= currentPrice ? "upgrade" : "downgrade";
+    }
+
+    // Unused share of what was paid for a subscription, in micro-VV
+    static calculateRefund(subscription, at = new Date()) {
+        const totalPaid = Money.fromDb(subscription.total_paid_vv || subscription.paid_price_vv);
+        // Time spent paused is neither paid for nor used
+        const totalMs = subscription.expires_at - subscription.started_at - (subscription.total_paused_ms || 0);
+        const remainingMs = subscription.expires_at - at;
+
+        return {
+            totalPaid,
+            refundAmount: Money.prorate(totalPaid, remainingMs, totalMs),
+            remainingMs: Math.max(0, remainingMs),
+        };
+    }
+
+    // Cancel an active subscription and credit the unused portion back to the
+    // user. Pass userId to restrict the cancel to the subscription owner.
+    // Owners can't cancel a subscription that someone else paid for in part: the
+    // refund would turn the buyer's VV into the owner's balance without going
+    // through transfer checks.
+    static async cancelSubscription(subscriptionId, { userId = null, initiatedBy, reason = null } = {}) {
+        const db = getDB();
+
+        const result = await withTransaction(async (session) => {
+            const now = new Date();
+            const filter = { _id: subscriptionId };
+            if (userId) {
+                filter.user_id = userId;
+            }
+
+            const subscription = await db.collection("subscriptions").findOne(filter, { session });
+            if (!subscription) {
+                throw new Error("Subscription not found");
+            }
+            if (subscription.status !== "active" || subscription.expires_at <= now) {
+                throw new Error("Subscription is not active");
+            }
+
+            // Every purchase that paid for this subscription, gifts included
+            const purchases = await db.collection("transactions")
+                .find({ subscription_id: subscription._id, type: "subscription_purchase" }, { session })
+                .toArray();
+            const giftedBy = subscription.gifted_by ||
+                purchases.find((purchase) => purchase.user_id !== subscription.user_id)?.user_id;
+            if (userId && giftedBy) {
+                throw new Error("Gifted subscriptions can only be refunded by an admin");
+            }
+
+            const { totalPaid, refundAmount, remainingMs } = this.calculateRefund(subscription, now);
+            const transactionId = new ObjectId();
+
+            // Status guard makes a concurrent second cancel fail instead of refunding twice
+            const updated = await db.collection("subscriptions").updateOne(
+                { _id: subscription._id, status: "active" },
+                {
+                    $set: {
+                        status: "cancelled",
+                        cancelled_at: now,
+                        cancelled_by: initiatedBy,
+                        cancel_reason: reason,
+                        refund_amount_vv: Money.toDecimal128(refundAmount),
+                        refund_transaction_id: transactionId,
+                        updated_at: now,
+                    },
+                },
+                { session }
+            );
+            if (updated.modifiedCount === 0) {
+                throw new Error("Subscription is not active");
+            }
+
+            const user = await db.collection("users").findOne({ _id: subscription.user_id }, { session });
+            let balanceBefore = Money.fromDb(user?.vv_balance);
+            let balanceAfter = balanceBefore;
+            if (refundAmount > 0) {
+                const { balances } = await LedgerService.credit(subscription.user_id, refundAmount, {
+                    from: LedgerService.SYSTEM_ACCOUNTS.REVENUE,
+                    type: "refund",
+                    reference: { collection: "transactions", id: transactionId },
+                    metadata: { subscription_id: subscription._id, plan_id: subscription.plan_id },
+                    createdBy: initiatedBy,
+                    session,
+                });
+                ({ before: balanceBefore, after: balanceAfter } = balances[subscription.user_id]);
+            }
+
+            // Cashback paid on this subscription's purchases is taken back from each
+            // buyer in the same proportion as the refund, so buying and cancelling
+            // earns nothing. A gift's buyer may have spent theirs, so their balance
+            // can go negative.
+            const cashbackByBuyer = new Map();
+            for (const purchase of purchases) {
+                if (!purchase.loyalty_cashback) continue;
+                const reversed = Money.prorate(Money.fromDb(purchase.loyalty_cashback.amount_vv), refundAmount, totalPaid);
+                cashbackByBuyer.set(purchase.user_id, (cashbackByBuyer.get(purchase.user_id) || 0) + reversed);
+            }
+            // The owner's part, shown on their refund
+            let cashbackReversed = 0;
+            for (const [buyerId, amount] of cashbackByBuyer) {
+                if (amount <= 0) continue;
+                const { balances } = await LedgerService.debit(buyerId, amount, {
+                    to: LedgerService.SYSTEM_ACCOUNTS.LOYALTY,
+                    type: "loyalty_cashback_reversal",
+                    reference: { collection: "transactions", id: transactionId },
+                    metadata: { subscription_id: subscription._id },
+                    createdBy: initiatedBy,
+                    session,
+                    allowOverdraft: buyerId !== subscription.user_id,
+                });
+                if (buyerId === subscription.user_id) {
+                    cashbackReversed = amount;
+                    balanceAfter = balances[buyerId].after;
+                }
+            }
+
+            // Refunded purchases no longer count towards the plan's purchase limit
+            await db.collection("transactions").updateMany(
+                { _id: { $in: purchases.map((purchase) => purchase._id) } },
+                { $set: { refunded_at: now, refund_transaction_id: transactionId } },
+                { session }
+            );
+
+            // A limited-stock subscription returns its unit to the plan
+            if (subscription.stock_claimed) {
+                await db.collection("plan_stock").updateOne(
+                    { _id: subscription.plan_id, sold: { $gt: 0 } },
+                    { $inc: { sold: -1 }, $set: { updated_at: now } },
+                    { session }
+                );
+            }
+
+            // Referral bonuses paid for the purchase that started this subscription
+            let referralReversal = null;
+            const rewardingPurchase = purchases.find((purchase) => purchase.referral_reward);
+            if (rewardingPurchase) {
+                referralReversal = await ReferralService.reverseReward(rewardingPurchase, {
+                    refundAmount,
+                    totalPaid,
+                    refundTransactionId: transactionId,
+                    createdBy: initiatedBy,
+                    session,
+                    now,
+                });
+                if (referralReversal.referredReversed > 0 && rewardingPurchase.user_id === subscription.user_id) {
+                    balanceAfter -= referralReversal.referredReversed;
+                }
+            }
+
+            const transactionData = {
+                _id: transactionId,
+                user_id: subscription.user_id,
+                subscription_id: subscription._id,
+                plan_id: subscription.plan_id,
+                plan_version_id: subscription.plan_version_id || null,
+                product: subscription.product || DEFAULT_PRODUCT,
+                plan_title: subscription.title,
+                amount_vv: Money.toDecimal128(totalPaid),
+                refund_amount_vv: Money.toDecimal128(refundAmount),
+                loyalty_cashback_reversed_vv: Money.toDecimal128(cashbackReversed),
+                referral_bonus_reversed_vv: referralReversal
+                    ? Money.toDecimal128(referralReversal.referredReversed)
+                    : null,
+                unused_days: Math.round((remainingMs / (24 * 60 * 60 * 1000)) * 100) / 100,
+                transaction_type: "refund",
+                type: "refund",
+                status: "completed",
+                initiated_by: initiatedBy,
+                reason,
+                // A subscription is refunded at most once
+                idempotency_key: `refund:${subscription._id}`,
+                created_at: now,
+                user_balance_before: Money.toDecimal128(balanceBefore),
+                user_balance_after: Money.toDecimal128(balanceAfter),
+            };
+            await ReceiptService.issue([transactionData], { session, now });
+            await db.collection("transactions").insertOne(transactionData, { session });
+
+            return {
+                subscription: { ...subscription, status: "cancelled", cancelled_at: now },
+                transaction: transactionData,
+                refundAmount,
+                cashbackReversed,
+                user,
+            };
+        });
+
+        // Role removal and notifications happen after the refund is committed
+        if (result.subscription.role_id) {
+            await this.releaseDiscordRole(result.subscription.user_id, result.subscription.role_id);
+        }
+
+        setImmediate(async () => {
+            try {
+                await this.sendRefundChannelMessage(result.subscription, result.transaction, result.user);
+
+                if (discordStatusManager) {
+                    await discordStatusManager.forceStatusUpdate();
+                }
+            } catch (error) {
+                console.error(
+                    `[ERROR] Post-refund operations failed for subscription ${result.subscription._id}:`,
+                    error
+                );
+            }
+        });
+
+        console.log(
+            `[INFO] Subscription ${result.subscription._id} cancelled by ${initiatedBy}, refunded ${this.formatVV(result.refundAmount)} VV to user ${result.subscription.user_id}`
+        );
+
+        return result;
+    }
+
+    // Pause limits from the plan's `pause` block; null when the plan can't be paused
+    static getPausePolicy(plan) {
+        if (!plan || !plan.pause) return null;
+
+        const maxPauses = Number(plan.pause.max_pauses) || 0;
+        const maxDays = Number(plan.pause.max_days) || 0;
+        if (maxPauses <= 0 || maxDays <= 0) return null;
+
+        return { maxPauses, maxDays };
+    }
+
+    static getPauseAllowance(subscription, plans) {
+        const policy = this.getPausePolicy(plans.find((p) => p.id === subscription.plan_id));
+        if (!policy) {
+            return { available: false, pauses_left: 0, max_days: 0 };
+        }
+
+        const pausesLeft = Math.max(0, policy.maxPauses - (subscription.pause_count || 0));
+        return {
+            available: subscription.status === "active" && pausesLeft > 0,
+            pauses_left: pausesLeft,
+            max_days: policy.maxDays,
+        };
+    }
+
+    // Stop the clock on an active subscription: the remaining time is banked,
+    // the role is removed and ExpiryManager ignores it until it is resumed
+    // (by the member, or automatically once the plan's max pause length passes)
+    static async pauseSubscription(subscriptionId, { userId = null, initiatedBy, reason = null } = {}) {
+        const db = getDB();
+        const now = new Date();
+        const filter = { _id: subscriptionId };
+        if (userId) {
+            filter.user_id = userId;
+        }
+
+        const subscription = await db.collection("subscriptions").findOne(filter);
+        if (!subscription) {
+            throw new Error("Subscription not found");
+        }
+        if (subscription.status !== "active" || subscription.expires_at <= now) {
+            throw new Error("Subscription is not active");
+        }
+
+        const plans = await this.getPlans({ includeArchived: true });
+        const policy = this.getPausePolicy(plans.find((p) => p.id === subscription.plan_id));
+        if (!policy) {
+            throw new Error("Pause is not available for this plan");
+        }
+        if ((subscription.pause_count || 0) >= policy.maxPauses) {
+            throw new Error(
+                `Pause limit reached - this plan allows ${policy.maxPauses} pause${policy.maxPauses === 1 ? "" : "s"}`
+            );
+        }
+
+        const remainingMs = subscription.expires_at - now;
+        const resumeBy = new Date(now.getTime() + policy.maxDays * 24 * 60 * 60 * 1000);
+
+        // expires_at guard: a renewal landing meanwhile must not be banked short
+        const result = await db.collection("subscriptions").findOneAndUpdate(
+            { _id: subscription._id, status: "active", expires_at: subscription.expires_at },
+            {
+                $set: {
+                    status: "paused",
+                    paused_at: now,
+                    paused_remaining_ms: remainingMs,
+                    pause_resume_by: resumeBy,
+                    updated_at: now,
+                },
+                $inc: { pause_count: 1 },
+                $push: {
+                    pause_events: {
+                        type: "pause",
+                        at: now,
+                        by: initiatedBy,
+                        reason,
+                        remaining_ms: remainingMs,
+                        resume_by: resumeBy,
+                    },
+                },
+            },
+            { returnDocument: "after" }
+        );
+
+        if (!result) {
+            throw new Error("Subscription is not active");
+        }
+
+        if (result.role_id) {
+            try {
+                await this.releaseDiscordRole(result.user_id, result.role_id, result._id);
+            } catch (roleError) {
+                console.error(`[ERROR] Failed to remove role for paused subscription ${result._id}:`, roleError);
+            }
+        }
+
+        setImmediate(async () => {
+            if (discordStatusManager) {
+                try {
+                    await discordStatusManager.forceStatusUpdate();
+                } catch (error) {
+                    console.error("[ERROR] Failed to update bot status after pause:", error);
+                }
+            }
+        });
+
+        console.log(
+            `[INFO] Subscription ${result._id} paused by ${initiatedBy}, banked ${Math.round(remainingMs / (60 * 60 * 1000))}h until ${resumeBy.toISOString()}`
+        );
+
+        return result;
+    }
+
+    // Restart a paused subscription: expires_at becomes now + the banked time
+    static async resumeSubscription(subscriptionId, { userId = null, initiatedBy, automatic = false } = {}) {
+        const db = getDB();
+        const now = new Date();
+        const filter = { _id: subscriptionId };
+        if (userId) {
+            filter.user_id = userId;
+        }
+
+        const subscription = await db.collection("subscriptions").findOne(filter);
+        if (!subscription) {
+            throw new Error("Subscription not found");
+        }
+        if (subscription.status !== "paused") {
+            throw new Error("Subscription is not paused");
+        }
+
+        const pausedMs = now - subscription.paused_at;
+        const expiresAt = new Date(now.getTime() + subscription.paused_remaining_ms);
+
+        const result = await db.collection("subscriptions").findOneAndUpdate(
+            { _id: subscription._id, status: "paused", paused_at: subscription.paused_at },
+            {
+                $set: {
+                    status: "active",
+                    expires_at: expiresAt,
+                    last_resumed_at: now,
+                    warning_sent: false,
+                    updated_at: now,
+                },
+                $unset: {
+                    paused_at: "",
+                    paused_remaining_ms: "",
+                    pause_resume_by: "",
+                },
+                $inc: { total_paused_ms: pausedMs },
+                $push: {
+                    pause_events: {
+                        type: automatic ? "auto_resume" : "resume",
+                        at: now,
+                        by: initiatedBy,
+                        paused_ms: pausedMs,
+                        expires_at: expiresAt,
+                    },
+                },
+            },
+            { returnDocument: "after" }
+        );
+
+        if (!result) {
+            throw new Error("Subscription is not paused");
+        }
+
+        if (result.role_id) {
+            try {
+                await this.assignDiscordRole(result.user_id, result.role_id);
+            } catch (roleError) {
+                console.error(`[ERROR] Failed to restore role for resumed subscription ${result._id}:`, roleError);
+            }
+        }
+
+        setImmediate(async () => {
             if (discordStatusManager) {
-                await discordStatusManager.forceStatusUpdate();
-                console.log(
-                    `[INFO] Discord bot status updated after subscription expiry`
-                );
+                try {
+                    await discordStatusManager.forceStatusUpdate();
+                } catch (error) {
+                    console.error("[ERROR] Failed to update bot status after resume:", error);
+                }
             }
+        });
+
+        console.log(
+            `[INFO] Subscription ${result._id} ${automatic ? "auto-resumed" : `resumed by ${initiatedBy}`}, now expires ${expiresAt.toISOString()}`
+        );
+
+        return result;
+    }
+
+    static async getUserPausedSubscriptions(userId) {
+        try {
+            const subscriptions = await getDB()
+                .collection("subscriptions")
+                .find({ user_id: userId, status: "paused" })
+                .sort({ paused_at: -1 })
+                .toArray();
+
+            return subscriptions.map((subscription) => {
+                const bankedDays = Math.floor(subscription.paused_remaining_ms / (24 * 60 * 60 * 1000));
+                const bankedHours = Math.floor(
+                    (subscription.paused_remaining_ms % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000)
+                );
+
+                return {
+                    ...subscription,
+                    product: subscription.product || DEFAULT_PRODUCT,
+                    tier: subscription.tier || DEFAULT_TIER,
+                    paused_at_ist: this.formatIST(subscription.paused_at),
+                    resume_by_ist: this.formatIST(subscription.pause_resume_by),
+                    banked_time: { days: bankedDays, hours: bankedHours },
+                };
+            });
         } catch (error) {
-            console.error(
-                `[ERROR] Failed to handle subscription expiry for ${subscriptionId}:`,
-                error
-            );
-            throw error;
+            console.error(`[ERROR] Failed to get paused subscriptions for user ${userId}:`, error);
+            return [];
         }
     }
 
@@ -532,6 +1993,25 @@ class SubscriptionService {
         }
     }
 
+    // Remove a role unless another current subscription of the user still grants it
+    static async releaseDiscordRole(userId, roleId, excludeSubscriptionId = null) {
+        const stillGranted = await getDB().collection("subscriptions").countDocuments({
+            user_id: userId,
+            role_id: roleId,
+            ...(excludeSubscriptionId ? { _id: { $ne: excludeSubscriptionId } } : {}),
+            ...this.currentSubscriptionFilter(),
+        });
+
+        if (stillGranted > 0) {
+            console.log(
+                `[INFO] Keeping role ${roleId} for user ${userId} - still granted by another active subscription`
+            );
+            return;
+        }
+
+        await this.removeDiscordRole(userId, roleId);
+    }
+
     static async removeDiscordRole(userId, roleId) {
         if (!process.env.DISCORD_GUILD_ID || !process.env.DISCORD_BOT_TOKEN) {
             console.warn(
@@ -677,9 +2157,192 @@ class SubscriptionService {
         }
     }
 
-    // Purchase notification with enhanced decimal formatting
-    static async sendPurchaseChannelMessage(user, plan, purchasedAt, expiresAt, isRenewal) {
+    // Supporter roles are permanent: they are never released on expiry
+    static async assignLoyaltyRole(userId, tier) {
+        if (!tier.role_id) return;
+
+        try {
+            await this.assignDiscordRole(userId, tier.role_id);
+            console.log(`[INFO] Loyalty role for ${tier.id} assigned to user ${userId}`);
+        } catch (roleError) {
+            console.error(`[ERROR] Failed to assign loyalty role ${tier.role_id} to user ${userId}:`, roleError);
+        }
+    }
+
+    static async sendLoyaltyTierChannelMessage(user, tierUp) {
         const channelId = process.env.DISCORD_PURCHASE_CHANNEL_ID;
+        if (!channelId) {
+            console.warn("[WARN] Loyalty tier announcement skipped - DISCORD_PURCHASE_CHANNEL_ID not set");
+            return;
+        }
+
+        try {
+            const { tier, spent } = tierUp;
+            const fields = [
+                {
+                    name: "👤 Supporter",
+                    value: `<@${user._id}>\n${user.discord?.username || user.username}`,
+                    inline: true,
+                },
+                {
+                    name: "💎 Lifetime Support",
+                    value: `${this.formatVV(spent)} VV`,
+                    inline: true,
+                },
+            ];
+            if (tier.role_id) {
+                fields.push({ name: "🏷️ Role", value: `<@&${tier.role_id}>`, inline: true });
+            }
+            if (tier.cashback_percent > 0) {
+                fields.push({ name: "💸 Cashback", value: `${tier.cashback_percent}% on future purchases`, inline: true });
+            }
+
+            const embed = {
+                title: `🏆 New ${tier.name}!`,
+                description: `<@${user._id}> has reached **${tier.name}**. Thank you for the support!`,
+                color: 0xffd700,
+                fields,
+                timestamp: new Date().toISOString(),
+            };
+
+            await this.sendChannelMessage(channelId, { embeds: [embed] });
+            console.log(`[INFO] Loyalty tier announcement sent for user ${user._id} (${tier.id})`);
+        } catch (error) {
+            console.error("[ERROR] Loyalty tier channel message failed:", error);
+        }
+    }
+
+    static async sendFraudAlertChannelMessage(fraudEvent) {
+        const channelId = process.env.DISCORD_FRAUD_CHANNEL_ID || process.env.DISCORD_TRANSACTION_CHANNEL_ID;
+        if (!channelId) {
+            console.warn(
+                "[WARN] Fraud alert skipped - DISCORD_FRAUD_CHANNEL_ID or DISCORD_TRANSACTION_CHANNEL_ID not set"
+            );
+            return;
+        }
+
+        try {
+            const outcomes = {
+                blocked: { title: "⛔ Request Blocked", color: 0xdc3545 },
+                held: { title: "⏸️ Request Held for Review", color: 0xffa500 },
+                alerted: { title: "⚠️ Fraud Rule Alert", color: 0xffd84a },
+            };
+            const outcome = outcomes[fraudEvent.status];
+
+            const fields = [
+                {
+                    name: "👤 Member",
+                    value: `<@${fraudEvent.user_id}>\n${fraudEvent.username || fraudEvent.user_id}`,
+                    inline: true,
+                },
+                {
+                    name: "📋 Request",
+                    value: fraudEvent.event === "purchase" ? "Subscription purchase" : "Admin balance adjustment",
+                    inline: true,
+                },
+                {
+                    name: "💰 Amount",
+                    value: `${this.formatVV(Money.fromDb(fraudEvent.amount_vv))} VV`,
+                    inline: true,
+                },
+            ];
+            if (fraudEvent.actor_id !== fraudEvent.user_id) {
+                fields.push({ name: "🛡️ Admin", value: `<@${fraudEvent.actor_id}>`, inline: true });
+            }
+            fields.push({
+                name: "📏 Rules Hit",
+                value: fraudEvent.hits.map((hit) => `**${hit.rule_name}** (${hit.action}): ${hit.details}`).join("\n"),
+                inline: false,
+            });
+
+            const embed = {
+                title: outcome.title,
+                color: outcome.color,
+                fields,
+                footer: { text: `Fraud event ${fraudEvent._id}` },
+                timestamp: new Date().toISOString(),
+            };
+
+            await this.sendChannelMessage(channelId, { embeds: [embed] });
+            console.log(`[INFO] Fraud alert sent for event ${fraudEvent._id}`);
+        } catch (error) {
+            console.error("[ERROR] Fraud alert channel message failed:", error);
+        }
+    }
+
+    // Tell both sides of a referral that their bonus has been paid
+    static async sendReferralDirectMessages(referredUser, reward) {
+        if (reward.referrerBonus > 0) {
+            await this.sendDirectMessage(reward.referrerId, {
+                content: `🤝 **${referredUser.username}** made their first purchase - you earned **${this.formatVV(reward.referrerBonus)} VV** for the referral!`,
+            });
+        }
+        if (reward.referredBonus > 0) {
+            await this.sendDirectMessage(reward.referredId, {
+                content: `🎁 Thanks for joining through a referral! **${this.formatVV(reward.referredBonus)} VV** has been added to your balance.`,
+            });
+        }
+    }
+
+    // Direct message a user through a bot DM channel
+    static async sendDirectMessage(userId, content) {
+        if (!process.env.DISCORD_BOT_TOKEN) {
+            console.warn("[WARN] Discord DM skipped - missing bot token");
+            return;
+        }
+
+        try {
+            const response = await axios.post(
+                "https://discord.com/api/users/@me/channels",
+                { recipient_id: userId },
+                {
+                    headers: {
+                        Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}`,
+                        "Content-Type": "application/json",
+                    },
+                    timeout: 10000,
+                }
+            );
+
+            return await this.sendChannelMessage(response.data.id, content);
+        } catch (error) {
+            // Users can close DMs; a failed DM never fails the caller
+            console.error(`[ERROR] Failed to DM user ${userId}:`, error.response?.data?.message || error.message);
+        }
+    }
+
+    // Let both sides of a gift know it went through
+    static async sendGiftDirectMessages(buyer, recipientId, plan, subscription) {
+        const buyerName = buyer.discord?.username || buyer.username;
+        const durationText = this.formatDuration(plan.days);
+
+        await this.sendDirectMessage(recipientId, {
+            embeds: [{
+                color: 0xff69b4,
+                title: "🎁 You received a gift!",
+                description: subscription
+                    ? `<@${buyer._id}> gifted you **${plan.title}** (${durationText}). It is active until ${this.formatDiscordTimestamp(subscription.expires_at, "F")}.`
+                    : `<@${buyer._id}> gifted you **${plan.title}** (${durationText}). Log in to the marketplace to claim it.`,
+                timestamp: new Date().toISOString(),
+            }],
+        });
+
+        await this.sendDirectMessage(buyer._id, {
+            embeds: [{
+                color: 0xff69b4,
+                title: "🎁 Gift sent",
+                description: subscription
+                    ? `Your gift of **${plan.title}** was delivered to <@${recipientId}>.`
+                    : `Your gift of **${plan.title}** for <@${recipientId}> will be delivered when they first log in.`,
+                footer: { text: `Thanks for supporting the community, ${buyerName}!` },
+                timestamp: new Date().toISOString(),
+            }],
+        });
+    }
+
+    // Purchase notification with enhanced decimal formatting
+    static async sendPurchaseChannelMessage(user, plan, purchasedAt, expiresAt, isRenewal, changeType = null, giftedBy = null) {
+        const channelId = await ProductService.getChannelId(this.getPlanProduct(plan), "purchase");
         if (!channelId) {
             console.warn('[WARN] Purchase notification skipped - DISCORD_PURCHASE_CHANNEL_ID not set');
             return;
@@ -729,12 +2392,18 @@ class SubscriptionService {
                     },
                     {
                         name: "📋 Status",
-                        value: isRenewal ? "🔄 Renewed" : "🆕 New subscription",
+                        value: giftedBy
+                            ? `🎁 Gift from <@${giftedBy._id}>`
+                            : changeType === "upgrade"
+                                ? "⬆️ Upgraded"
+                                : changeType === "downgrade"
+                                    ? "⬇️ Downgraded"
+                                    : isRenewal ? "🔄 Renewed" : "🆕 New subscription",
                         inline: true
                     }
                 ],
                 footer: {
-                    text: `Added by ${user.discord?.username || user.username}`,
+                    text: `Added by ${giftedBy ? giftedBy.discord?.username || giftedBy.username : user.discord?.username || user.username}`,
                     icon_url: "https://cdn.discordapp.com/attachments/1404364069351460967/1413848167824232518/vireeeee.png"
                 },
                 timestamp: new Date().toISOString()
@@ -742,7 +2411,7 @@ class SubscriptionService {
 
             // Send message with user mention and embed
             const messageContent = {
-                content: `<@${user._id}>`, // Tag the user in the message
+                content: giftedBy ? `<@${user._id}> <@${giftedBy._id}>` : `<@${user._id}>`, // Tag the user (and gifter) in the message
                 embeds: [embed]
             };
 
@@ -754,7 +2423,7 @@ class SubscriptionService {
 
     // Transaction channel notification with enhanced decimal formatting
     static async sendTransactionChannelMessage(transaction, user, plan) {
-        const channelId = process.env.DISCORD_TRANSACTION_CHANNEL_ID;
+        const channelId = await ProductService.getChannelId(transaction.product, "transaction");
         if (!channelId) {
             console.warn(
                 "[WARN] Transaction notification skipped - DISCORD_TRANSACTION_CHANNEL_ID not set"
@@ -767,14 +2436,18 @@ class SubscriptionService {
             const userProfileImage = await this.getUserProfileImage(user._id);
 
             const isRenewal = transaction.transaction_type === "renewal";
-            const discountText = transaction.discount_amount > 0
-                ? `💰 Saved ${this.formatVV(transaction.discount_amount)} VV`
+            const isPlanChange = ["upgrade", "downgrade"].includes(transaction.transaction_type);
+            const discountAmount = Money.fromDb(transaction.discount_amount);
+            const discountText = discountAmount > 0
+                ? `💰 Saved ${this.formatVV(discountAmount)} VV`
                 : "💸 No discount";
 
             const embed = {
-                color: isRenewal ? 0xffa500 : 0x28a745, // Orange for renewal, green for new
+                color: isPlanChange ? 0x9b59b6 : isRenewal ? 0xffa500 : 0x28a745, // Purple for plan change, orange for renewal, green for new
                 author: {
-                    name: isRenewal ? "🔄 Subscription Renewed" : "💰 New Transaction",
+                    name: isPlanChange
+                        ? (transaction.transaction_type === "upgrade" ? "⬆️ Plan Upgraded" : "⬇️ Plan Downgraded")
+                        : isRenewal ? "🔄 Subscription Renewed" : "💰 New Transaction",
                     icon_url: "https://cdn.discordapp.com/attachments/1404364069351460967/1413848167824232518/vireeeee.png",
                 },
                 description: `Transaction completed for <@${user._id}>`,
@@ -794,12 +2467,14 @@ class SubscriptionService {
                     },
                     {
                         name: "💎 Amount",
-                        value: `${this.formatVV(transaction.final_price_vv)} VV`,
+                        value: `${this.formatVV(Money.fromDb(transaction.final_price_vv))} VV`,
                         inline: true,
                     },
                     {
                         name: "🏪 Type",
-                        value: isRenewal ? "Renewal" : "New Purchase",
+                        value: isPlanChange
+                            ? `${transaction.transaction_type === "upgrade" ? "Upgrade" : "Downgrade"} from ${transaction.previous_plan_id}`
+                            : isRenewal ? "Renewal" : "New Purchase",
                         inline: true,
                     },
                     {
@@ -809,7 +2484,7 @@ class SubscriptionService {
                     },
                     {
                         name: "⚖️ Balance",
-                        value: `${this.formatVV(transaction.user_balance_before)} → ${this.formatVV(transaction.user_balance_after)} VV`,
+                        value: `${this.formatVV(Money.fromDb(transaction.user_balance_before))} → ${this.formatVV(Money.fromDb(transaction.user_balance_after))} VV`,
                         inline: true,
                     },
                 ],
@@ -820,32 +2495,49 @@ class SubscriptionService {
                 timestamp: new Date().toISOString()
             };
 
-            await this.sendChannelMessage(channelId, { embeds: [embed] });
+            if (transaction.recipient_id) {
+                embed.fields.push({
+                    name: "🎁 Gift",
+                    value: `Bought by <@${transaction.buyer_id}> for <@${transaction.recipient_id}>${transaction.gift?.status === "pending" ? " (awaiting first login)" : ""}`,
+                    inline: false,
+                });
+            }
 
-            // Clean up - remove transaction from DB after sending to channel (as requested)
-            setTimeout(async () => {
-                try {
-                    const db = getDB();
-                    await db
-                        .collection("transactions")
-                        .deleteOne({ _id: transaction._id });
-                    console.log(
-                        `[INFO] Transaction ${transaction._id} cleaned up from database`
-                    );
-                } catch (error) {
-                    console.error(
-                        `[ERROR] Failed to cleanup transaction ${transaction._id}:`,
-                        error
-                    );
-                }
-            }, 5000); // 5 second delay to ensure message is sent
+            if (transaction.pricing_rule?.sale_id) {
+                embed.fields.push({
+                    name: "🔥 Sale",
+                    value: `${transaction.pricing_rule.sale_label} (ends ${this.formatDiscordTimestamp(transaction.pricing_rule.sale_ends_at, "R")})`,
+                    inline: false,
+                });
+            }
+
+            if (transaction.promo_code) {
+                const promoDiscount = Money.fromDb(transaction.promo_code.discount_vv);
+                embed.fields.push({
+                    name: "🏷️ Promo Code",
+                    value: `\`${transaction.promo_code.code}\` • ${promoDiscount > 0
+                        ? `${this.formatVV(promoDiscount)} VV off`
+                        : `+${transaction.promo_code.free_days} free days`}`,
+                    inline: false,
+                });
+            }
+
+            if (isPlanChange) {
+                embed.fields.push({
+                    name: "🔁 Plan Change",
+                    value: `${this.formatVV(Money.fromDb(transaction.plan_change_credit_vv))} VV credit applied • ${this.formatVV(Money.fromDb(transaction.amount_charged_vv))} VV charged`,
+                    inline: false,
+                });
+            }
+
+            await this.sendChannelMessage(channelId, { embeds: [embed] });
         } catch (error) {
             console.error("[ERROR] Transaction channel message failed:", error);
         }
     }
 
     static async sendExpiredChannelMessage(subscription) {
-        const channelId = process.env.DISCORD_EXPIRY_CHANNEL_ID;
+        const channelId = await ProductService.getChannelId(subscription.product, "expiry");
         if (!channelId) {
             console.warn(
                 "[WARN] Expired notification skipped - DISCORD_EXPIRY_CHANNEL_ID not set"
@@ -893,7 +2585,7 @@ class SubscriptionService {
                     },
                     {
                         name: "💎 Total Spent",
-                        value: `${this.formatVV(subscription.total_paid_vv || subscription.paid_price_vv)} VV`,
+                        value: `${this.formatVV(Money.fromDb(subscription.total_paid_vv || subscription.paid_price_vv))} VV`,
                         inline: true,
                     },
                 ],
@@ -919,9 +2611,80 @@ class SubscriptionService {
         }
     }
 
+    // Refund notification, posted alongside purchase and expiry messages
+    static async sendRefundChannelMessage(subscription, transaction, user) {
+        const channelId = await ProductService.getChannelId(subscription.product, "refund");
+        if (!channelId) {
+            console.warn(
+                "[WARN] Refund notification skipped - DISCORD_REFUND_CHANNEL_ID or DISCORD_PURCHASE_CHANNEL_ID not set"
+            );
+            return;
+        }
+
+        try {
+            const guildInfo = await this.getGuildInfo();
+            const userProfileImage = await this.getUserProfileImage(subscription.user_id);
+            const selfService = transaction.initiated_by === subscription.user_id;
+
+            const embed = {
+                title: "💸 Subscription Refunded",
+                description: `<@${subscription.user_id}>\nSubscription ${selfService ? "cancelled by the member" : `cancelled by <@${transaction.initiated_by}>`}.`,
+                color: 0x3498db, // Blue color for refunds
+                thumbnail: {
+                    url: userProfileImage || "https://cdn.discordapp.com/embed/avatars/0.png"
+                },
+                fields: [
+                    {
+                        name: "👤 User",
+                        value: `<@${subscription.user_id}>\n${user?.discord?.username || user?.username || "Unknown"}`,
+                        inline: true,
+                    },
+                    {
+                        name: "💎 Plan",
+                        value: subscription.title || "Premium",
+                        inline: true,
+                    },
+                    {
+                        name: "⏳ Unused Time",
+                        value: `${transaction.unused_days} days`,
+                        inline: true,
+                    },
+                    {
+                        name: "💰 Refunded",
+                        value: `${this.formatVV(Money.fromDb(transaction.refund_amount_vv))} VV of ${this.formatVV(Money.fromDb(transaction.amount_vv))} VV paid`,
+                        inline: true,
+                    },
+                    {
+                        name: "⚖️ Balance",
+                        value: `${this.formatVV(Money.fromDb(transaction.user_balance_before))} → ${this.formatVV(Money.fromDb(transaction.user_balance_after))} VV`,
+                        inline: true,
+                    },
+                    {
+                        name: "🏷️ Role Removed",
+                        value: `<@&${subscription.role_id}>`,
+                        inline: true,
+                    },
+                ],
+                footer: {
+                    text: `Transaction ID: ${transaction._id.toString().substr(-8)} • ${guildInfo?.name || "Virelia"}`,
+                    icon_url: guildInfo?.icon || undefined,
+                },
+                timestamp: new Date().toISOString()
+            };
+
+            if (transaction.reason) {
+                embed.fields.push({ name: "📝 Reason", value: transaction.reason, inline: false });
+            }
+
+            await this.sendChannelMessage(channelId, { content: `<@${subscription.user_id}>`, embeds: [embed] });
+        } catch (error) {
+            console.error("[ERROR] Refund channel message failed:", error);
+        }
+    }
+
     // Expiry warning notification with enhanced decimal formatting
     static async sendExpiryWarningChannelMessage(subscription) {
-        const channelId = process.env.DISCORD_WARNING_CHANNEL_ID || process.env.DISCORD_EXPIRY_CHANNEL_ID;
+        const channelId = await ProductService.getChannelId(subscription.product, "warning");
         if (!channelId) {
             console.warn(
                 "[WARN] Expiry warning notification skipped - DISCORD_WARNING_CHANNEL_ID or DISCORD_EXPIRY_CHANNEL_ID not set"
@@ -989,7 +2752,7 @@ class SubscriptionService {
                     },
                     {
                         name: "💰 Total Spent",
-                        value: `${this.formatVV(subscription.total_paid_vv || subscription.paid_price_vv)} VV`,
+                        value: `${this.formatVV(Money.fromDb(subscription.total_paid_vv || subscription.paid_price_vv))} VV`,
                         inline: true,
                     },
                     {
@@ -1015,6 +2778,99 @@ class SubscriptionService {
         }
     }
 
+    // "Last chance" notice when a subscription lapses into its grace period
+    static async sendGracePeriodChannelMessage(subscription) {
+        const channelId = await ProductService.getChannelId(subscription.product, "warning");
+        if (!channelId) {
+            console.warn(
+                "[WARN] Grace period notice skipped - DISCORD_WARNING_CHANNEL_ID or DISCORD_EXPIRY_CHANNEL_ID not set"
+            );
+            return;
+        }
+
+        try {
+            const embed = {
+                title: "⏳ Last Chance to Renew",
+                description: `<@${subscription.user_id}>\nYour **${subscription.title || "Premium"}** subscription has expired, but you keep your role until the grace period ends.`,
+                color: 0xff4500,
+                fields: [
+                    {
+                        name: "⏰ Expired",
+                        value: this.formatDiscordTimestamp(subscription.expires_at, "F"),
+                        inline: true,
+                    },
+                    {
+                        name: "🛑 Role Removed",
+                        value: this.formatDiscordTimestamp(subscription.grace_ends_at, "R"),
+                        inline: true,
+                    },
+                    {
+                        name: "🏷️ Role",
+                        value: `<@&${subscription.role_id}>`,
+                        inline: true,
+                    },
+                    {
+                        name: "💡 Action",
+                        value: "Renew now to continue from your original expiry date without losing any time.",
+                        inline: false,
+                    },
+                ],
+                timestamp: new Date().toISOString(),
+            };
+
+            await this.sendChannelMessage(channelId, { content: `<@${subscription.user_id}>`, embeds: [embed] });
+            console.log(`[INFO] Grace period notice sent for subscription ${subscription._id}`);
+        } catch (error) {
+            console.error("[ERROR] Grace period channel message failed:", error);
+        }
+    }
+
+    // Warn an auto-renewing member that their balance won't cover the next renewal
+    static async sendLowBalanceWarningChannelMessage(subscription, balance, price) {
+        const channelId = await ProductService.getChannelId(subscription.product, "warning");
+        if (!channelId) {
+            console.warn(
+                "[WARN] Low balance warning skipped - DISCORD_WARNING_CHANNEL_ID or DISCORD_EXPIRY_CHANNEL_ID not set"
+            );
+            return;
+        }
+
+        try {
+            const embed = {
+                title: "💸 Auto-Renewal at Risk",
+                description: `<@${subscription.user_id}>\nYour balance is too low to auto-renew **${subscription.title || "Premium"}**.`,
+                color: 0xffa500,
+                fields: [
+                    {
+                        name: "⏰ Renews",
+                        value: this.formatDiscordTimestamp(subscription.expires_at, "R"),
+                        inline: true,
+                    },
+                    {
+                        name: "💎 Renewal Price",
+                        value: `${this.formatVV(price)} VV`,
+                        inline: true,
+                    },
+                    {
+                        name: "⚖️ Balance",
+                        value: `${this.formatVV(balance)} VV (short ${this.formatVV(price - balance)} VV)`,
+                        inline: true,
+                    },
+                    {
+                        name: "💡 Action",
+                        value: "Top up your VV before the renewal date to keep your subscription running.",
+                        inline: false,
+                    },
+                ],
+                timestamp: new Date().toISOString(),
+            };
+
+            await this.sendChannelMessage(channelId, { content: `<@${subscription.user_id}>`, embeds: [embed] });
+        } catch (error) {
+            console.error("[ERROR] Low balance warning channel message failed:", error);
+        }
+    }
+
     // Legacy webhook methods (kept for backwards compatibility)
     static async sendExpiryWarningWebhook(subscription) {
         return this.sendExpiryWarningChannelMessage(subscription);
@@ -1025,4 +2881,7 @@ class SubscriptionService {
     }
 }
 
+SubscriptionService.DEFAULT_TIER = DEFAULT_TIER;
+SubscriptionService.DEFAULT_PRODUCT = DEFAULT_PRODUCT;
+
 module.exports = SubscriptionService;
\ No newline at end of file
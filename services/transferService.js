@@ -0,0 +1,363 @@
+// services/transferService.js - Peer-to-peer VV transfers between members
+// A transfer moves VV from one user account to another in a single ledger
+// journal. The transfers document, the ledger entries and a transactions record
+// for each side are written in one MongoDB transaction.
+const { ObjectId } = require('mongodb');
+const { getDB, withTransaction } = require('../config/mongodb');
+const LedgerService = require('./ledgerService');
+const ReceiptService = require('./receiptService');
+const SubscriptionService = require('./subscriptionService');
+const Money = require('../utils/money');
+
+const MIN_TRANSFER = Money.parse(process.env.TRANSFER_MIN_VV) ?? Money.toMicro('0.01');
+// Total a member may send in any rolling 24 hours
+const DAILY_TRANSFER_LIMIT = Money.parse(process.env.TRANSFER_DAILY_LIMIT_VV) ?? Money.toMicro('100');
+// Discord accounts younger than this can't send VV
+const MIN_ACCOUNT_AGE_DAYS = Number(process.env.TRANSFER_MIN_ACCOUNT_AGE_DAYS) || 7;
+const MAX_NOTE_LENGTH = 200;
+
+class TransferService {
+  // Recipients must already have an account; they are named by Discord ID or username
+  static async resolveRecipient(recipient) {
+    const db = getDB();
+    const value = String(recipient || '').trim().replace(/^@/, '');
+    if (!value) {
+      throw new Error('Transfer recipient is required');
+    }
+
+    let user;
+    if (/^\d{17,20}$/.test(value)) {
+      user = await db.collection('users').findOne({ _id: value });
+    } else {
+      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      user = await db.collection('users').findOne({ username: { $regex: `^${escaped}$`, $options: 'i' } });
+    }
+
+    if (!user) {
+      throw new Error('Transfer recipient not found');
+    }
+    return user;
+  }
+
+  // Sum sent by a user over the last 24 hours (micro-VV), excluding reversed transfers
+  static async getSentInLastDay(userId, { session, now = new Date() } = {}) {
+    const [row] = await getDB().collection('transfers').aggregate([
+      {
+        $match: {
+          sender_id: userId,
+          status: 'completed',
+          created_at: { $gt: new Date(now.getTime() - 24 * 60 * 60 * 1000) }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount_vv' } } }
+    ], { session }).toArray();
+
+    return Money.fromDb(row?.total);
+  }
+
+  // The transfer a sender already made with this idempotency key, with the
+  // sender's balances from it, or null. A key reused for a different recipient
+  // or amount is an error rather than a replay.
+  static async findTransferByIdempotencyKey(senderId, idempotencyKey, { recipientId, amount, session } = {}) {
+    const db = getDB();
+    const transfer = await db.collection('transfers').findOne(
+      { sender_id: senderId, idempotency_key: idempotencyKey },
+      { session }
+    );
+    if (!transfer) {
+      return null;
+    }
+    if (transfer.recipient_id !== recipientId || Money.fromDb(transfer.amount_vv) !== amount) {
+      throw new Error('Transfer idempotency key was already used for a different transfer');
+    }
+
+    const record = await db.collection('transactions').findOne(
+      { transfer_id: transfer._id, user_id: senderId, type: 'transfer' },
+      { session }
+    );
+    const balances = {
+      [senderId]: {
+        before: Money.fromDb(record?.user_balance_before),
+        after: Money.fromDb(record?.user_balance_after)
+      }
+    };
+    return { replayed: true, transfer, balances };
+  }
+
+  // Retrying with the same idempotency key returns the original transfer with
+  // `replayed: true` instead of sending again.
+  static async sendTransfer(senderId, recipientInput, amountInput, { note = null, idempotencyKey } = {}) {
+    if (!idempotencyKey) {
+      throw new Error('Transfer idempotency key is required');
+    }
+
+    const amount = Money.parse(amountInput);
+    if (amount === null || amount < MIN_TRANSFER) {
+      throw new Error(`Transfer amount must be at least ${Money.format(MIN_TRANSFER)} VV`);
+    }
+    if (amount > DAILY_TRANSFER_LIMIT) {
+      throw new Error(`Transfer amount exceeds the daily limit of ${Money.format(DAILY_TRANSFER_LIMIT)} VV`);
+    }
+
+    const trimmedNote = note ? String(note).trim().slice(0, MAX_NOTE_LENGTH) : null;
+    const recipient = await this.resolveRecipient(recipientInput);
+    if (recipient._id === senderId) {
+      throw new Error('Transfer to yourself is not allowed');
+    }
+
+    const createdAt = SubscriptionService.getDiscordAccountCreatedAt(senderId);
+    if (!createdAt || Date.now() - createdAt < MIN_ACCOUNT_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new Error(`Transfers require a Discord account at least ${MIN_ACCOUNT_AGE_DAYS} days old`);
+    }
+
+    const db = getDB();
+    const replayOptions = { recipientId: recipient._id, amount };
+
+    let result;
+    try {
+      result = await withTransaction(async (session) => {
+        const now = new Date();
+        const previous = await this.findTransferByIdempotencyKey(senderId, idempotencyKey, { ...replayOptions, session });
+        if (previous) {
+          return previous;
+        }
+
+        const sender = await db.collection('users').findOne({ _id: senderId }, { session });
+        if (!sender) {
+          throw new Error('User not found');
+        }
+        if (sender.transfers_blocked) {
+          throw new Error('Transfers are blocked on your account');
+        }
+
+        const freshRecipient = await db.collection('users').findOne({ _id: recipient._id }, { session });
+        if (!freshRecipient || freshRecipient.transfers_blocked) {
+          throw new Error('Transfer recipient cannot receive transfers');
+        }
+
+        // Concurrent sends conflict on the sender's balance, so the retry sees the first one
+        const sentToday = await this.getSentInLastDay(senderId, { session, now });
+        if (sentToday + amount > DAILY_TRANSFER_LIMIT) {
+          throw new Error(
+            `Transfer amount exceeds the daily limit of ${Money.format(DAILY_TRANSFER_LIMIT)} VV (${Money.format(Math.max(0, DAILY_TRANSFER_LIMIT - sentToday))} VV left today)`
+          );
+        }
+
+        const transferId = new ObjectId();
+        const { journalId, balances } = await LedgerService.transfer({
+          from: LedgerService.userAccount(senderId),
+          to: LedgerService.userAccount(recipient._id),
+          amount,
+          type: 'p2p_transfer',
+          reference: { collection: 'transfers', id: transferId },
+          metadata: { note: trimmedNote },
+          createdBy: senderId,
+          session
+        });
+
+        const transfer = {
+          _id: transferId,
+          sender_id: senderId,
+          sender_username: sender.username,
+          recipient_id: recipient._id,
+          recipient_username: freshRecipient.username,
+          amount_vv: Money.toDecimal128(amount),
+          note: trimmedNote,
+          status: 'completed',
+          journal_id: journalId,
+          idempotency_key: idempotencyKey,
+          created_at: now
+        };
+        await db.collection('transfers').insertOne(transfer, { session });
+        await this.recordTransactions(transfer, balances, { type: 'transfer', now, session });
+
+        return { transfer, balances };
+      });
+    } catch (error) {
+      // A concurrent request with the same key committed first
+      if (error.code === 11000 && error.keyPattern?.idempotency_key) {
+        const previous = await this.findTransferByIdempotencyKey(senderId, idempotencyKey, replayOptions);
+        if (previous) {
+          return previous;
+        }
+      }
+      throw error;
+    }
+
+    if (result.replayed) {
+      return result;
+    }
+
+    console.log(`[INFO] User ${senderId} sent ${Money.format(amount)} VV to ${result.transfer.recipient_id} (transfer ${result.transfer._id})`);
+
+    setImmediate(async () => {
+      try {
+        await SubscriptionService.sendDirectMessage(result.transfer.recipient_id, {
+          content: `💸 **${result.transfer.sender_username}** sent you **${Money.format(amount)} VV**${trimmedNote ? `: "${trimmedNote}"` : ''}`
+        });
+      } catch (error) {
+        console.error(`[ERROR] Failed to notify recipient of transfer ${result.transfer._id}:`, error.message);
+      }
+    });
+
+    return result;
+  }
+
+  // One transactions record per side; `type` is 'transfer' or 'transfer_reversal'
+  static async recordTransactions(transfer, balances, { type, now, session, initiatedBy = null, reason = null }) {
+    const amount = Money.fromDb(transfer.amount_vv);
+    const sides = [
+      { userId: transfer.sender_id, counterparty: transfer.recipient_id, direction: type === 'transfer' ? 'out' : 'in' },
+      { userId: transfer.recipient_id, counterparty: transfer.sender_id, direction: type === 'transfer' ? 'in' : 'out' }
+    ];
+
+    const transactions = sides.map(side => ({
+      _id: new ObjectId(),
+      user_id: side.userId,
+      counterparty_id: side.counterparty,
+      transfer_id: transfer._id,
+      amount_vv: Money.toDecimal128(side.direction === 'out' ? -amount : amount),
+      transaction_type: `${type}_${side.direction}`,
+      type,
+      status: 'completed',
+      note: transfer.note,
+      initiated_by: initiatedBy || transfer.sender_id,
+      reason,
+      idempotency_key: `${type}:${transfer._id}:${side.direction}`,
+      user_balance_before: Money.toDecimal128(balances[side.userId].before),
+      user_balance_after: Money.toDecimal128(balances[side.userId].after),
+      created_at: now
+    }));
+
+    await ReceiptService.issue(transactions, { session, now });
+    await getDB().collection('transactions').insertMany(transactions, { session });
+  }
+
+  // Admin reversal: moves the VV back from recipient to sender. Fails when the
+  // recipient has already spent it unless `force` lets their balance go negative.
+  static async reverseTransfer(transferId, { adminId, reason = null, force = false }) {
+    const db = getDB();
+
+    const result = await withTransaction(async (session) => {
+      const now = new Date();
+      const transfer = await db.collection('transfers').findOneAndUpdate(
+        { _id: transferId, status: 'completed' },
+        {
+          $set: {
+            status: 'reversed',
+            reversed_at: now,
+            reversed_by: adminId,
+            reversal_reason: reason
+          }
+        },
+        { session, returnDocument: 'after' }
+      );
+      if (!transfer) {
+        const exists = await db.collection('transfers').countDocuments({ _id: transferId }, { session });
+        throw new Error(exists ? 'Transfer has already been reversed' : 'Transfer not found');
+      }
+
+      let ledgerResult;
+      try {
+        ledgerResult = await LedgerService.transfer({
+          from: LedgerService.userAccount(transfer.recipient_id),
+          to: LedgerService.userAccount(transfer.sender_id),
+          amount: Money.fromDb(transfer.amount_vv),
+          type: 'p2p_transfer_reversal',
+          reference: { collection: 'transfers', id: transfer._id },
+          metadata: { reason },
+          createdBy: adminId,
+          session,
+          allowOverdraft: force
+        });
+      } catch (error) {
+        if (error.message === 'Insufficient VV balance') {
+          throw new Error('Recipient balance is too low to reverse this transfer');
+        }
+        throw error;
+      }
+
+      await db.collection('transfers').updateOne(
+        { _id: transfer._id },
+        { $set: { reversal_journal_id: ledgerResult.journalId } },
+        { session }
+      );
+      await this.recordTransactions(transfer, ledgerResult.balances, {
+        type: 'transfer_reversal',
+        now,
+        session,
+        initiatedBy: adminId,
+        reason
+      });
+
+      return { transfer, balances: ledgerResult.balances };
+    });
+
+    console.log(`[INFO] Admin ${adminId} reversed transfer ${transferId}${force ? ' (forced)' : ''}`);
+    return result;
+  }
+
+  static async setTransfersBlocked(userId, blocked, { adminId, reason = null }) {
+    const now = new Date();
+    const update = blocked
+      ? { $set: { transfers_blocked: { blocked_by: adminId, reason, blocked_at: now }, updated_at: now } }
+      : { $unset: { transfers_blocked: '' }, $set: { updated_at: now } };
+
+    const result = await getDB().collection('users').updateOne({ _id: userId }, update);
+    if (result.matchedCount === 0) {
+      throw new Error('User not found');
+    }
+
+    console.log(`[INFO] Admin ${adminId} ${blocked ? 'blocked' : 'unblocked'} transfers for user ${userId}`);
+  }
+
+  static formatTransfer(transfer, viewerId = null) {
+    const amount = Money.fromDb(transfer.amount_vv);
+    return {
+      ...transfer,
+      amount_vv: Money.toNumber(amount),
+      formatted_amount: Money.format(amount),
+      direction: viewerId ? (transfer.sender_id === viewerId ? 'sent' : 'received') : null,
+      created_at_ist: SubscriptionService.formatIST(transfer.created_at)
+    };
+  }
+
+  static async getUserTransfers(userId, limit = 20) {
+    const transfers = await getDB().collection('transfers')
+      .find({ $or: [{ sender_id: userId }, { recipient_id: userId }] })
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray();
+
+    return transfers.map(transfer => this.formatTransfer(transfer, userId));
+  }
+
+  static async listTransfers({ userId = null, status = null, limit = 50 } = {}) {
+    const filter = {};
+    if (userId) {
+      filter.$or = [{ sender_id: userId }, { recipient_id: userId }];
+    }
+    if (status) {
+      filter.status = status;
+    }
+
+    const transfers = await getDB().collection('transfers')
+      .find(filter)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray();
+
+    return transfers.map(transfer => this.formatTransfer(transfer));
+  }
+
+  static getLimits() {
+    return {
+      min_amount: Money.toNumber(MIN_TRANSFER),
+      daily_limit: Money.toNumber(DAILY_TRANSFER_LIMIT),
+      formatted_daily_limit: Money.format(DAILY_TRANSFER_LIMIT),
+      min_account_age_days: MIN_ACCOUNT_AGE_DAYS
+    };
+  }
+}
+
+module.exports = TransferService;
\ No newline at end of file
@@ -0,0 +1,254 @@
+// services/voucherService.js - Redeemable VV voucher codes (gift cards)
+// Admins generate batches of codes worth a fixed VV amount. Redeeming claims a
+// use with a conditional $inc and credits the balance in the same transaction,
+// so a code can never pay out more than max_uses times. Each redemption is also
+// written to admin_actions like a manual balance adjustment.
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDB, withTransaction } = require('../config/mongodb');
+const LedgerService = require('./ledgerService');
+const Money = require('../utils/money');
+
+// No 0/O or 1/I so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+const MAX_BATCH_SIZE = 1000;
+
+class VoucherService {
+  static normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  static generateCode() {
+    const bytes = crypto.randomBytes(CODE_GROUPS * CODE_GROUP_LENGTH);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    const groups = chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g'));
+    return `VV-${groups.join('-')}`;
+  }
+
+  static async createBatch(input, createdBy) {
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count <= 0 || count > MAX_BATCH_SIZE) {
+      throw new Error(`Voucher count must be a whole number between 1 and ${MAX_BATCH_SIZE}`);
+    }
+
+    const amount = Money.parse(input.amount);
+    if (amount === null || amount <= 0) {
+      throw new Error('Voucher amount must be a positive VV amount');
+    }
+
+    const maxUses = input.max_uses === undefined || input.max_uses === null || input.max_uses === '' ? 1 : Number(input.max_uses);
+    if (!Number.isInteger(maxUses) || maxUses <= 0) {
+      throw new Error('Voucher max_uses must be a positive whole number');
+    }
+
+    let expiresAt = null;
+    if (input.expires_at) {
+      expiresAt = new Date(input.expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw new Error('Voucher expires_at must be a valid future date');
+      }
+    }
+
+    const db = getDB();
+    const now = new Date();
+    const batch = {
+      _id: new ObjectId(),
+      label: input.label || null,
+      amount_vv: Money.toDecimal128(amount),
+      count,
+      max_uses: maxUses,
+      expires_at: expiresAt,
+      created_by: createdBy,
+      created_at: now
+    };
+
+    const codes = new Set();
+    while (codes.size < count) {
+      codes.add(this.generateCode());
+    }
+
+    const vouchers = Array.from(codes, code => ({
+      code,
+      batch_id: batch._id,
+      amount_vv: batch.amount_vv,
+      max_uses: maxUses,
+      uses_count: 0,
+      expires_at: expiresAt,
+      active: true,
+      created_by: createdBy,
+      created_at: now
+    }));
+
+    try {
+      await withTransaction(async (session) => {
+        await db.collection('voucher_batches').insertOne(batch, { session });
+        await db.collection('vouchers').insertMany(vouchers, { session });
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Voucher code collision, please retry');
+      }
+      throw error;
+    }
+
+    console.log(`[INFO] Admin ${createdBy} created voucher batch ${batch._id}: ${count} x ${Money.format(amount)} VV`);
+    return { batch, vouchers };
+  }
+
+  // Claim one use of `code` for `userId` and credit its value. Throws an Error
+  // starting with "Voucher code" when it can't be redeemed.
+  static async redeem(code, userId) {
+    const normalized = this.normalizeCode(code);
+    if (!normalized) {
+      throw new Error('Voucher code is required');
+    }
+
+    const db = getDB();
+
+    const result = await withTransaction(async (session) => {
+      const now = new Date();
+      const voucher = await db.collection('vouchers').findOne({ code: normalized }, { session });
+
+      if (!voucher || !voucher.active) {
+        throw new Error('Voucher code is invalid');
+      }
+      if (voucher.expires_at && voucher.expires_at <= now) {
+        throw new Error('Voucher code has expired');
+      }
+
+      // Multi-use codes still pay each member once
+      const adminActionId = new ObjectId();
+      try {
+        await db.collection('voucher_redemptions').insertOne({
+          voucher_id: voucher._id,
+          batch_id: voucher.batch_id,
+          code: voucher.code,
+          user_id: userId,
+          amount_vv: voucher.amount_vv,
+          admin_action_id: adminActionId,
+          redeemed_at: now
+        }, { session });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error('Voucher code has already been redeemed on your account');
+        }
+        throw error;
+      }
+
+      const claimed = await db.collection('vouchers').updateOne(
+        { _id: voucher._id, active: true, $expr: { $lt: ['$uses_count', '$max_uses'] } },
+        { $inc: { uses_count: 1 }, $set: { last_redeemed_at: now } },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw new Error('Voucher code has already been used');
+      }
+
+      const amount = Money.fromDb(voucher.amount_vv);
+      const { balances } = await LedgerService.credit(userId, amount, {
+        from: LedgerService.SYSTEM_ACCOUNTS.VOUCHERS,
+        type: 'voucher_redemption',
+        reference: { collection: 'admin_actions', id: adminActionId },
+        metadata: { code: voucher.code, voucher_id: voucher._id, batch_id: voucher.batch_id },
+        createdBy: userId,
+        session
+      });
+      const { before, after } = balances[userId];
+
+      await db.collection('admin_actions').insertOne({
+        _id: adminActionId,
+        admin_user_id: voucher.created_by,
+        target_user_id: userId,
+        action_type: 'voucher_redemption',
+        operation: 'add',
+        amount: voucher.amount_vv,
+        balance_before: Money.toDecimal128(before),
+        balance_after: Money.toDecimal128(after),
+        reason: `Voucher ${voucher.code}`,
+        voucher_id: voucher._id,
+        batch_id: voucher.batch_id,
+        created_at: now
+      }, { session });
+
+      return { voucher, amount, balanceBefore: before, balanceAfter: after };
+    });
+
+    console.log(`[INFO] User ${userId} redeemed voucher ${result.voucher.code} for ${Money.format(result.amount)} VV`);
+    return result;
+  }
+
+  static async deactivate(code) {
+    const result = await getDB().collection('vouchers').updateOne(
+      { code: this.normalizeCode(code) },
+      { $set: { active: false, deactivated_at: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error('Voucher code not found');
+    }
+  }
+
+  static async listBatches(limit = 50) {
+    const db = getDB();
+    const batches = await db.collection('voucher_batches').find({}).sort({ created_at: -1 }).limit(limit).toArray();
+    const usage = await db.collection('vouchers').aggregate([
+      { $match: { batch_id: { $in: batches.map(batch => batch._id) } } },
+      {
+        $group: {
+          _id: '$batch_id',
+          uses: { $sum: '$uses_count' },
+          fully_used: { $sum: { $cond: [{ $gte: ['$uses_count', '$max_uses'] }, 1, 0] } }
+        }
+      }
+    ]).toArray();
+    const usageByBatch = new Map(usage.map(row => [row._id.toString(), row]));
+
+    return batches.map(batch => {
+      const amount = Money.fromDb(batch.amount_vv);
+      const stats = usageByBatch.get(batch._id.toString());
+      const uses = stats ? stats.uses : 0;
+      return {
+        ...batch,
+        amount_vv: Money.toNumber(amount),
+        formatted_amount: Money.format(amount),
+        redemptions: uses,
+        fully_used_codes: stats ? stats.fully_used : 0,
+        formatted_total_redeemed: Money.format(amount * uses)
+      };
+    });
+  }
+
+  // CSV of every code in a batch, for handing out in giveaways
+  static async exportBatchCsv(batchId) {
+    const db = getDB();
+    const batch = await db.collection('voucher_batches').findOne({ _id: batchId });
+    if (!batch) {
+      throw new Error('Voucher batch not found');
+    }
+
+    const vouchers = await db.collection('vouchers').find({ batch_id: batchId }).sort({ code: 1 }).toArray();
+    const now = new Date();
+    const rows = vouchers.map(voucher => {
+      let status = 'available';
+      if (!voucher.active) status = 'deactivated';
+      else if (voucher.uses_count >= voucher.max_uses) status = 'used';
+      else if (voucher.expires_at && voucher.expires_at <= now) status = 'expired';
+
+      return [
+        voucher.code,
+        Money.toString(Money.fromDb(voucher.amount_vv)),
+        voucher.max_uses,
+        voucher.uses_count,
+        voucher.expires_at ? voucher.expires_at.toISOString() : '',
+        status
+      ].join(',');
+    });
+
+    return ['code,amount_vv,max_uses,uses_count,expires_at,status', ...rows].join('\n') + '\n';
+  }
+}
+
+VoucherService.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+module.exports = VoucherService;
\ No newline at end of file
@@ -0,0 +1,163 @@
+// utils/money.js - Exact VV amounts
+// All VV arithmetic happens on integer micro-VV (1 VV = 1,000,000 micro-VV) so
+// sums and discounts never drift. Amounts are persisted in MongoDB as Decimal128
+// VV values, which keeps stored fields human readable and lets $inc/$sum stay exact.
+const { Decimal128 } = require('mongodb');
+
+const VV_DECIMALS = 6;
+const MICRO_PER_VV = 10 ** VV_DECIMALS;
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+// Round a BigInt division half away from zero
+const roundDiv = (numerator, denominator) => {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  let quotient = n / d;
+  if ((n % d) * 2n >= d) {
+    quotient += 1n;
+  }
+  return negative ? -quotient : quotient;
+};
+
+const assertSafe = (micro) => {
+  if (!Number.isSafeInteger(micro)) {
+    throw new RangeError(`VV amount out of range: ${micro}`);
+  }
+  return micro;
+};
+
+// Parse a plain decimal string ("2.85", "-0.000001") into micro-VV
+const parseDecimalString = (value) => {
+  const match = DECIMAL_PATTERN.exec(value.trim());
+  if (!match || (!match[2] && !match[3])) {
+    // Decimal128 may render tiny/huge values in exponent form
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) {
+      throw new TypeError(`Invalid VV amount: "${value}"`);
+    }
+    return fromFloat(numeric);
+  }
+
+  const [, sign, intPart = '', fracPart = ''] = match;
+  const padded = (fracPart + '0'.repeat(VV_DECIMALS + 1)).slice(0, VV_DECIMALS + 1);
+  let micro = BigInt(intPart || '0') * BigInt(MICRO_PER_VV) + BigInt(padded.slice(0, VV_DECIMALS));
+
+  // Round half up on the first dropped digit
+  if (Number(padded[VV_DECIMALS]) >= 5) {
+    micro += 1n;
+  }
+
+  return assertSafe(Number(sign === '-' ? -micro : micro));
+};
+
+const fromFloat = (value) => {
+  if (!Number.isFinite(value)) {
+    throw new TypeError(`Invalid VV amount: ${value}`);
+  }
+  // toFixed snaps float noise such as 2.8499999999 back onto the micro grid
+  return parseDecimalString(value.toFixed(VV_DECIMALS));
+};
+
+// Convert any stored or user-facing VV value (number, string, Decimal128) to micro-VV
+const toMicro = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  if (typeof value === 'number') {
+    return fromFloat(value);
+  }
+  if (typeof value === 'string') {
+    return parseDecimalString(value);
+  }
+  if (value._bsontype === 'Decimal128' || value._bsontype === 'Long' || value._bsontype === 'Double' || value._bsontype === 'Int32') {
+    return parseDecimalString(value.toString());
+  }
+  throw new TypeError(`Unsupported VV amount type: ${typeof value}`);
+};
+
+// Lenient variant for request bodies and env vars: returns null instead of throwing
+const parse = (value) => {
+  try {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return null;
+    }
+    return toMicro(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Exact decimal string in VV, trailing zeros trimmed ("2.85", "-0.000001", "12")
+const toString = (micro) => {
+  assertSafe(micro);
+  const negative = micro < 0;
+  const abs = Math.abs(micro);
+  const intPart = Math.floor(abs / MICRO_PER_VV);
+  const fracPart = String(abs % MICRO_PER_VV).padStart(VV_DECIMALS, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${intPart}${fracPart ? `.${fracPart}` : ''}`;
+};
+
+const toDecimal128 = (micro) => Decimal128.fromString(toString(micro));
+
+// VV as a JS number, for JSON responses and display-only comparisons
+const toNumber = (micro) => assertSafe(micro) / MICRO_PER_VV;
+
+// percent may be fractional (e.g. 11.5); result is rounded to the nearest micro-VV
+const percentOf = (micro, percent) => {
+  const numerator = BigInt(assertSafe(micro)) * BigInt(toMicro(percent));
+  return Number(roundDiv(numerator, BigInt(100 * MICRO_PER_VV)));
+};
+
+// Share of `micro` proportional to part/whole (e.g. unused time over total time)
+const prorate = (micro, part, whole) => {
+  if (whole <= 0) {
+    return 0;
+  }
+  const clamped = Math.min(Math.max(part, 0), whole);
+  return Number(roundDiv(BigInt(assertSafe(micro)) * BigInt(Math.round(clamped)), BigInt(Math.round(whole))));
+};
+
+const sum = (amounts) => amounts.reduce((total, amount) => assertSafe(total + amount), 0);
+
+const format = (micro, options = {}) => {
+  const {
+    showDecimals = true,
+    maxDecimals = VV_DECIMALS,
+    minDecimals = 0,
+    showCommas = true
+  } = options;
+
+  let rounded = micro;
+  const places = showDecimals ? Math.min(maxDecimals, VV_DECIMALS) : 0;
+  if (places < VV_DECIMALS) {
+    rounded = Number(roundDiv(BigInt(micro), BigInt(10 ** (VV_DECIMALS - places)))) * 10 ** (VV_DECIMALS - places);
+  }
+
+  const [intPart, fracPart = ''] = toString(rounded).split('.');
+  const digits = intPart.replace('-', '');
+  const sign = intPart.startsWith('-') ? '-' : '';
+  const grouped = showCommas ? digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',') : digits;
+  const decimals = fracPart.padEnd(Math.min(minDecimals, places), '0');
+
+  return `${sign}${grouped}${decimals ? `.${decimals}` : ''}`;
+};
+
+const getDefaultBalance = () => parse(process.env.DEFAULT_VV_BALANCE) ?? 0;
+
+module.exports = {
+  VV_DECIMALS,
+  MICRO_PER_VV,
+  toMicro,
+  fromDb: toMicro,
+  parse,
+  toString,
+  toDecimal128,
+  toNumber,
+  percentOf,
+  prorate,
+  sum,
+  format,
+  getDefaultBalance
+};
\ No newline at end of file
@@ -0,0 +1,209 @@
+// utils/planSchema.js - Schema for subscription plan definitions
+// Each check reports the field path and what was wrong, e.g.
+//   discount.type must be one of "percent", "fixed" (got "percnt")
+// so a bad edit can be fixed without guessing. Unknown fields are rejected too:
+// a misspelt "dicount" would otherwise be ignored and the plan sold at full price.
+const Money = require('./money');
+
+const PLAN_ID_PATTERN = /^[a-z0-9_-]{2,64}$/;
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const KNOWN_FIELDS = [
+  'id', 'product', 'title', 'description', 'profile_image', 'tier', 'trial', 'price_vv',
+  'discount', 'days', 'role_id', 'pause', 'price_schedule', 'sales', 'eligibility', 'stock'
+];
+const ELIGIBILITY_FIELDS = ['min_account_age_days', 'required_role_id', 'max_purchases_per_user'];
+
+const describe = (value) => (value === undefined ? 'nothing' : JSON.stringify(value));
+
+const isVVAmount = (value) => (typeof value === 'number' || typeof value === 'string') && Money.parse(value) !== null;
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min;
+
+const checkDiscount = (discount, field, errors) => {
+  if (!discount || typeof discount !== 'object' || Array.isArray(discount)) {
+    errors.push(`${field} must be an object like { "type": "percent", "value": 10 } (got ${describe(discount)})`);
+    return;
+  }
+  if (!DISCOUNT_TYPES.includes(discount.type)) {
+    errors.push(`${field}.type must be one of ${DISCOUNT_TYPES.map(type => `"${type}"`).join(', ')} (got ${describe(discount.type)})`);
+  }
+  if (!isVVAmount(discount.value) || Money.parse(discount.value) < 0) {
+    errors.push(`${field}.value must be a number of 0 or more (got ${describe(discount.value)})`);
+  } else if (discount.type === 'percent' && Money.parse(discount.value) > Money.toMicro(100)) {
+    errors.push(`${field}.value must be at most 100 for a percent discount (got ${describe(discount.value)})`);
+  }
+};
+
+// Errors for one plan definition; an empty list means it is valid
+const validatePlan = (plan) => {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return [`plan must be an object (got ${describe(plan)})`];
+  }
+
+  const errors = [];
+
+  Object.keys(plan)
+    .filter(field => !KNOWN_FIELDS.includes(field))
+    .forEach(field => errors.push(`unknown field "${field}"`));
+
+  if (typeof plan.id !== 'string' || !PLAN_ID_PATTERN.test(plan.id)) {
+    errors.push(`id must be 2-64 lowercase letters, digits, underscores or dashes (got ${describe(plan.id)})`);
+  }
+  if (typeof plan.title !== 'string' || !plan.title.trim()) {
+    errors.push(`title is required (got ${describe(plan.title)})`);
+  }
+  ['product', 'description', 'profile_image', 'tier'].forEach((field) => {
+    if (plan[field] !== undefined && (typeof plan[field] !== 'string' || !plan[field].trim())) {
+      errors.push(`${field} must be a non-empty string (got ${describe(plan[field])})`);
+    }
+  });
+  if (plan.trial !== undefined && typeof plan.trial !== 'boolean') {
+    errors.push(`trial must be true or false (got ${describe(plan.trial)})`);
+  }
+
+  if (!isVVAmount(plan.price_vv)) {
+    errors.push(`price_vv must be a VV amount (got ${describe(plan.price_vv)})`);
+  } else if (plan.trial === true ? Money.parse(plan.price_vv) < 0 : Money.parse(plan.price_vv) <= 0) {
+    errors.push(`price_vv must be ${plan.trial === true ? '0 or more' : 'positive (only trial plans can be free)'} (got ${describe(plan.price_vv)})`);
+  }
+  if (!isWholeNumber(plan.days, 1)) {
+    errors.push(`days must be a positive whole number (got ${describe(plan.days)})`);
+  }
+  if (typeof plan.role_id !== 'string' || !SNOWFLAKE_PATTERN.test(plan.role_id)) {
+    errors.push(`role_id must be a Discord role ID of 17-20 digits, as a string (got ${describe(plan.role_id)})`);
+  }
+
+  if (plan.discount !== undefined && plan.discount !== null) {
+    checkDiscount(plan.discount, 'discount', errors);
+  }
+
+  if (plan.pause !== undefined) {
+    if (!plan.pause || typeof plan.pause !== 'object') {
+      errors.push(`pause must be an object like { "max_pauses": 1, "max_days": 14 } (got ${describe(plan.pause)})`);
+    } else {
+      ['max_pauses', 'max_days'].forEach((field) => {
+        if (!isWholeNumber(plan.pause[field], 0)) {
+          errors.push(`pause.${field} must be a whole number of 0 or more (got ${describe(plan.pause[field])})`);
+        }
+      });
+    }
+  }
+
+  if (plan.eligibility !== undefined) {
+    if (!plan.eligibility || typeof plan.eligibility !== 'object' || Array.isArray(plan.eligibility)) {
+      errors.push(`eligibility must be an object like { "min_account_age_days": 30 } (got ${describe(plan.eligibility)})`);
+    } else {
+      Object.keys(plan.eligibility)
+        .filter(field => !ELIGIBILITY_FIELDS.includes(field))
+        .forEach(field => errors.push(`unknown field "eligibility.${field}"`));
+      ['min_account_age_days', 'max_purchases_per_user'].forEach((field) => {
+        if (plan.eligibility[field] !== undefined && !isWholeNumber(plan.eligibility[field], 1)) {
+          errors.push(`eligibility.${field} must be a positive whole number (got ${describe(plan.eligibility[field])})`);
+        }
+      });
+      const roleId = plan.eligibility.required_role_id;
+      if (roleId !== undefined && (typeof roleId !== 'string' || !SNOWFLAKE_PATTERN.test(roleId))) {
+        errors.push(`eligibility.required_role_id must be a Discord role ID of 17-20 digits, as a string (got ${describe(roleId)})`);
+      }
+    }
+  }
+  if (plan.stock !== undefined && !isWholeNumber(plan.stock, 0)) {
+    errors.push(`stock must be a whole number of 0 or more (got ${describe(plan.stock)})`);
+  }
+
+  if (plan.price_schedule !== undefined) {
+    if (!Array.isArray(plan.price_schedule)) {
+      errors.push(`price_schedule must be a list (got ${describe(plan.price_schedule)})`);
+    } else {
+      const ids = new Set();
+      plan.price_schedule.forEach((change, index) => {
+        const field = `price_schedule[${index}]`;
+        if (!change || typeof change.id !== 'string' || !change.id) {
+          errors.push(`${field}.id is required`);
+        } else if (ids.has(change.id)) {
+          errors.push(`${field}.id "${change.id}" is used more than once`);
+        } else {
+          ids.add(change.id);
+        }
+        if (!isDate(change?.effective_at)) {
+          errors.push(`${field}.effective_at must be a date (got ${describe(change?.effective_at)})`);
+        }
+        if (!isVVAmount(change?.price_vv) || Money.parse(change.price_vv) <= 0) {
+          errors.push(`${field}.price_vv must be a positive VV amount (got ${describe(change?.price_vv)})`);
+        }
+      });
+    }
+  }
+
+  if (plan.sales !== undefined) {
+    if (!Array.isArray(plan.sales)) {
+      errors.push(`sales must be a list (got ${describe(plan.sales)})`);
+    } else {
+      const ids = new Set();
+      plan.sales.forEach((sale, index) => {
+        const field = `sales[${index}]`;
+        if (!sale || typeof sale.id !== 'string' || !sale.id) {
+          errors.push(`${field}.id is required`);
+        } else if (ids.has(sale.id)) {
+          errors.push(`${field}.id "${sale.id}" is used more than once`);
+        } else {
+          ids.add(sale.id);
+        }
+        if (!isDate(sale?.starts_at)) {
+          errors.push(`${field}.starts_at must be a date (got ${describe(sale?.starts_at)})`);
+        }
+        if (!isDate(sale?.ends_at)) {
+          errors.push(`${field}.ends_at must be a date (got ${describe(sale?.ends_at)})`);
+        } else if (isDate(sale.starts_at) && new Date(sale.ends_at) <= new Date(sale.starts_at)) {
+          errors.push(`${field}.ends_at must be after starts_at`);
+        }
+        checkDiscount(sale?.discount, `${field}.discount`, errors);
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Validate a whole catalog: every plan plus unique IDs. Returns a list of
+// { index, plan_id, errors } for the plans that failed.
+const validateCatalog = (plans) => {
+  if (!Array.isArray(plans)) {
+    return [{ index: null, plan_id: null, errors: [`catalog must be a list of plans (got ${describe(plans)})`] }];
+  }
+
+  const seen = new Map();
+  const failures = [];
+  plans.forEach((plan, index) => {
+    const errors = validatePlan(plan);
+    const id = plan && plan.id;
+    if (typeof id === 'string') {
+      if (seen.has(id)) {
+        errors.push(`id "${id}" is already used by the plan at position ${seen.get(id)}`);
+      } else {
+        seen.set(id, index);
+      }
+    }
+    if (errors.length > 0) {
+      failures.push({ index, plan_id: typeof id === 'string' ? id : null, errors });
+    }
+  });
+  return failures;
+};
+
+// validateCatalog failures as text, one line per plan
+const formatFailures = (failures) => failures
+  .map(failure => `${failure.plan_id ? `Plan ${failure.plan_id}` : `Plan at position ${failure.index}`}: ${failure.errors.join('; ')}`)
+  .join('\n');
+
+module.exports = {
+  DISCOUNT_TYPES,
+  KNOWN_FIELDS,
+  validatePlan,
+  validateCatalog,
+  formatFailures
+};
\ No newline at end of file